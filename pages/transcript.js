@@ -0,0 +1,230 @@
+/**
+ * SessionLink Transcript Page
+ * Shows the stored {role, content} transcript of one save, lets the user
+ * re-run summarization on it and downloads it as Markdown, HTML or JSON.
+ * Opened from the popup as pages/transcript.html?id=<saveId>.
+ */
+
+(function () {
+  'use strict';
+
+  const saveId = new URLSearchParams(window.location.search).get('id');
+  let currentSave = null;
+
+  function sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          resolve({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      });
+    });
+  }
+
+  function setStatus(message, isError) {
+    const el = document.getElementById('status');
+    el.textContent = message || '';
+    el.className = 'status' + (isError ? ' error' : '');
+  }
+
+  function render(save) {
+    currentSave = save;
+
+    const meta = document.getElementById('meta');
+    meta.textContent = (save.platform || 'Unknown') + ' • ' + new Date(save.timestamp).toLocaleString();
+    if (save.url) {
+      meta.appendChild(document.createTextNode(' • '));
+      const link = document.createElement('a');
+      link.href = save.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = save.url;
+      meta.appendChild(link);
+    }
+
+    // A transcript-only save has no summary yet, just the transcript again
+    const transcriptOnly = save.kind === 'transcript';
+    document.getElementById('summary-section').hidden = transcriptOnly;
+    document.getElementById('summary-text').textContent = transcriptOnly ? '' : save.summary || '';
+    document.getElementById('resummarize').textContent = transcriptOnly ? 'Summarize' : 'Re-summarize';
+
+    const list = document.getElementById('messages');
+    list.innerHTML = '';
+    const transcript = save.transcript || [];
+    if (transcript.length === 0) {
+      list.innerHTML = '<p class="empty">No transcript was stored with this save.</p>';
+      document.getElementById('resummarize').disabled = true;
+      document.getElementById('copy-transcript').disabled = true;
+      return;
+    }
+    document.querySelectorAll('.download-btn').forEach((btn) => { btn.disabled = false; });
+
+    transcript.forEach((message) => {
+      const item = document.createElement('div');
+      item.className = 'message ' + (message.role === 'user' ? 'user' : 'assistant');
+
+      const role = document.createElement('div');
+      role.className = 'message-role';
+      role.textContent = message.role;
+
+      const content = document.createElement('div');
+      content.className = 'message-content';
+      content.textContent = message.content;
+
+      item.appendChild(role);
+      item.appendChild(content);
+      list.appendChild(item);
+    });
+  }
+
+  async function load() {
+    if (!saveId) {
+      setStatus('No save selected.', true);
+      return;
+    }
+    const response = await sendMessage({ action: 'getSave', id: saveId });
+    if (response.success) {
+      render(response.data);
+    } else {
+      setStatus(response.error, true);
+    }
+  }
+
+  document.getElementById('copy-transcript').addEventListener('click', async () => {
+    if (!currentSave || !currentSave.transcript) return;
+    const text = currentSave.transcript
+      .map((m) => m.role.toUpperCase() + ': ' + m.content)
+      .join('\n\n');
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus('Transcript copied to clipboard.');
+    } catch (err) {
+      setStatus('Copy failed: ' + err.message, true);
+    }
+  });
+
+  document.getElementById('resummarize').addEventListener('click', async () => {
+    const btn = document.getElementById('resummarize');
+    btn.disabled = true;
+    btn.textContent = 'Summarizing…';
+    setStatus('');
+
+    const response = await sendMessage({ action: 'resummarize', id: saveId });
+
+    btn.disabled = false;
+    if (response.success) {
+      render(response.data);
+      document.getElementById('summary-section').open = true;
+      setStatus('Summary updated with the current provider and template.');
+    } else {
+      btn.textContent = currentSave && currentSave.kind === 'transcript' ? 'Summarize' : 'Re-summarize';
+      setStatus(response.error, true);
+    }
+  });
+
+  // ── Downloads ──────────────────────────────────────────────────────
+  document.querySelectorAll('.download-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (!currentSave) return;
+      const name = fileBaseName(currentSave);
+      if (btn.dataset.format === 'markdown') {
+        download(name + '.md', toMarkdown(currentSave), 'text/markdown');
+      } else if (btn.dataset.format === 'html') {
+        download(name + '.html', toHtml(currentSave), 'text/html');
+      } else {
+        download(name + '.json', JSON.stringify(toJson(currentSave), null, 2), 'application/json');
+      }
+    });
+  });
+
+  function toMarkdown(save) {
+    const meta = [
+      '- **Platform:** ' + (save.platform || 'Unknown'),
+      '- **Saved:** ' + new Date(save.timestamp).toLocaleString()
+    ];
+    if (save.url) meta.push('- **URL:** <' + save.url + '>');
+    const messages = save.transcript.map((m) => '### ' + roleLabel(m.role) + '\n\n' + m.content.trim());
+    return '# ' + (save.title || 'Conversation transcript') + '\n\n' + meta.join('\n') + '\n\n---\n\n' +
+      messages.join('\n\n') + '\n';
+  }
+
+  function toJson(save) {
+    return {
+      format: 'sessionlink-transcript',
+      version: 1,
+      title: save.title || '',
+      platform: save.platform || 'Unknown',
+      url: save.url || '',
+      savedAt: save.timestamp,
+      messages: save.transcript.map((m) => ({ role: m.role, content: m.content }))
+    };
+  }
+
+  // A standalone page: no scripts, styles inline
+  function toHtml(save) {
+    const title = escapeHtml(save.title || 'Conversation transcript');
+    const meta = escapeHtml((save.platform || 'Unknown') + ' • ' + new Date(save.timestamp).toLocaleString()) +
+      (save.url ? ' • <a href="' + escapeHtml(save.url) + '">' + escapeHtml(save.url) + '</a>' : '');
+    const messages = save.transcript.map((m) =>
+      '<section class="' + (m.role === 'user' ? 'user' : 'assistant') + '">\n' +
+      '<h2>' + escapeHtml(roleLabel(m.role)) + '</h2>\n' + contentToHtml(m.content) + '\n</section>'
+    ).join('\n');
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n<title>' + title + '</title>\n<style>\n' +
+      'body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;max-width:820px;margin:40px auto;padding:0 20px;line-height:1.6;color:#1e293b}\n' +
+      '.meta{color:#64748b;font-size:13px}\n' +
+      'section{border:1px solid #e2e8f0;border-radius:10px;padding:12px 18px;margin:12px 0}\n' +
+      'section.user{background:#eef2ff}\n' +
+      'h2{font-size:11px;text-transform:uppercase;letter-spacing:.05em;color:#64748b;margin:0 0 6px}\n' +
+      'pre{background:#0f172a;color:#f1f5f9;padding:12px;border-radius:8px;overflow:auto}\n' +
+      '</style>\n</head>\n<body>\n<h1>' + title + '</h1>\n<p class="meta">' + meta + '</p>\n' + messages + '\n</body>\n</html>\n';
+  }
+
+  // Fenced code blocks become <pre><code>; other text becomes paragraphs
+  function contentToHtml(text) {
+    const parts = text.split(/^(`{3,})([^\n`]*)\n([\s\S]*?)\n\1[ \t]*$/m);
+    let html = '';
+    for (let i = 0; i < parts.length; i += 4) {
+      html += parts[i].trim().split(/\n{2,}/).filter(Boolean).map((para) =>
+        '<p>' + escapeHtml(para).replace(/\n/g, '<br>') + '</p>'
+      ).join('\n');
+      if (i + 3 < parts.length) {
+        const lang = parts[i + 2].trim();
+        html += '\n<pre><code' + (lang ? ' class="language-' + escapeHtml(lang) + '"' : '') + '>' +
+          escapeHtml(parts[i + 3]) + '</code></pre>\n';
+      }
+    }
+    return html;
+  }
+
+  function roleLabel(role) {
+    return role === 'user' ? 'User' : role === 'assistant' ? 'Assistant' : role;
+  }
+
+  function fileBaseName(save) {
+    const slug = (save.title || 'transcript').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60);
+    return 'sessionlink-' + (slug || 'transcript') + '-' + String(save.timestamp).substring(0, 10);
+  }
+
+  function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type + ';charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  load();
+})();
@@ -0,0 +1,322 @@
+/**
+ * SessionLink Platform Adapters
+ * Describes each supported chat site as data: host patterns plus, for
+ * every selector field, an ordered list of CSS selector strategies. The
+ * content script uses the first strategy that matches the page, so a DOM
+ * change falls through to the next one instead of breaking scraping.
+ *
+ * Users can import newer adapter definitions as JSON from the popup; an
+ * imported adapter replaces the built-in one with the same id while its
+ * version is higher. Custom sites added in the popup are adapters too.
+ */
+
+(function(global) {
+  'use strict';
+
+  const SessionLinkAdapters = {};
+
+  SessionLinkAdapters.FORMAT = 'sessionlink-adapters';
+
+  /**
+   * Selector fields an adapter can define, and whether each is required
+   */
+  SessionLinkAdapters.FIELDS = {
+    userMessage: true,
+    assistantMessage: true,
+    allMessages: true,
+    inputArea: true,
+    sendButton: false,
+    messageContent: false,
+    conversationArea: false
+  };
+
+  /**
+   * Adapters shipped with the extension. Bump an adapter's version whenever
+   * its selectors change so older imported copies stop overriding it.
+   */
+  SessionLinkAdapters.BUILTIN = [
+    {
+      id: 'chatgpt',
+      name: 'ChatGPT',
+      version: 1,
+      hostPatterns: ['chatgpt.com', 'chat.openai.com'],
+      selectors: {
+        userMessage: ['[data-message-author-role="user"]'],
+        assistantMessage: ['[data-message-author-role="assistant"]'],
+        allMessages: ['[data-message-author-role]'],
+        messageContent: ['.markdown', '.whitespace-pre-wrap', '.text-message'],
+        inputArea: ['#prompt-textarea', 'form [contenteditable="true"]', 'form textarea'],
+        sendButton: ['[data-testid="send-button"]', 'button[aria-label="Send prompt"]'],
+        conversationArea: ['main']
+      }
+    },
+    {
+      id: 'claude',
+      name: 'Claude',
+      version: 1,
+      hostPatterns: ['claude.ai'],
+      selectors: {
+        userMessage: ['[data-testid="user-message"]', '.font-user-message'],
+        assistantMessage: ['[data-testid="ai-message"]', '.font-claude-message'],
+        allMessages: [
+          '[data-testid="user-message"], [data-testid="ai-message"]',
+          '.font-user-message, .font-claude-message'
+        ],
+        inputArea: ['[contenteditable="true"].ProseMirror', 'div[contenteditable="true"]', 'fieldset textarea'],
+        sendButton: [
+          'button[aria-label="Send Message"], button[aria-label="Send message"]',
+          'fieldset button[type="button"]:last-of-type'
+        ],
+        conversationArea: ['main', '[role="main"]']
+      }
+    },
+    {
+      id: 'gemini',
+      name: 'Gemini',
+      version: 1,
+      hostPatterns: ['gemini.google.com'],
+      selectors: {
+        userMessage: ['user-query', '.query-text', '.user-query'],
+        assistantMessage: ['model-response', '.model-response-text', '.response-content'],
+        allMessages: ['user-query, model-response', '.query-text, .model-response-text'],
+        messageContent: ['.markdown', '.query-text'],
+        inputArea: ['rich-textarea .ql-editor', '.ql-editor', 'div[contenteditable="true"]', 'textarea[aria-label]'],
+        sendButton: ['button.send-button', 'button[aria-label="Send message"]', '.send-button-container button'],
+        conversationArea: ['main', '.conversation-container']
+      }
+    },
+    {
+      id: 'perplexity',
+      name: 'Perplexity',
+      version: 1,
+      hostPatterns: ['perplexity.ai'],
+      selectors: {
+        userMessage: ['[class*="group/query"]', 'h1[class*="query"]'],
+        assistantMessage: ['[id^="markdown-content-"]', '.prose'],
+        allMessages: ['[class*="group/query"], [id^="markdown-content-"]', 'h1[class*="query"], .prose'],
+        inputArea: ['#ask-input', 'textarea[placeholder*="Ask"]', 'div[contenteditable="true"]', 'textarea'],
+        sendButton: ['button[aria-label="Submit"]', 'button[data-testid="submit-button"]'],
+        conversationArea: ['main']
+      }
+    },
+    {
+      id: 'mistral',
+      name: 'Le Chat',
+      version: 1,
+      hostPatterns: ['chat.mistral.ai'],
+      selectors: {
+        userMessage: ['[data-message-author-role="user"]', '[data-role="user"]'],
+        assistantMessage: ['[data-message-author-role="assistant"]', '[data-role="assistant"]'],
+        allMessages: ['[data-message-author-role]', '[data-role="user"], [data-role="assistant"]'],
+        messageContent: ['[data-message-part-type="answer"]', '.prose', '.markdown-container-style'],
+        inputArea: ['div.ProseMirror[contenteditable="true"]', 'textarea[name="message.text"]', 'textarea'],
+        sendButton: ['button[aria-label="Send question"]', 'form button[type="submit"]'],
+        conversationArea: ['main']
+      }
+    },
+    {
+      id: 'deepseek',
+      name: 'DeepSeek',
+      version: 1,
+      hostPatterns: ['chat.deepseek.com'],
+      selectors: {
+        // Replies are the .ds-message blocks that contain rendered Markdown.
+        // :has() needs Firefox 121; the Firefox manifest requires 128.
+        userMessage: ['.ds-message:not(:has(.ds-markdown))'],
+        assistantMessage: ['.ds-message:has(.ds-markdown)', '.ds-markdown'],
+        allMessages: ['.ds-message'],
+        messageContent: ['.ds-markdown'],
+        inputArea: ['#chat-input', 'textarea[placeholder*="DeepSeek"]', 'textarea'],
+        sendButton: ['div[role="button"].ds-button--primary:not([aria-disabled="true"])', 'div[role="button"][aria-disabled="false"]'],
+        conversationArea: ['main', '#root']
+      }
+    },
+    {
+      id: 'copilot',
+      name: 'Copilot',
+      version: 1,
+      hostPatterns: ['copilot.microsoft.com'],
+      selectors: {
+        userMessage: ['[data-content="user-message"]', '[class*="group/user-message"]'],
+        assistantMessage: ['[data-content="ai-message"]', '[class*="group/ai-message"]'],
+        allMessages: [
+          '[data-content="user-message"], [data-content="ai-message"]',
+          '[class*="group/user-message"], [class*="group/ai-message"]'
+        ],
+        inputArea: ['#userInput', 'textarea[data-testid="composer-input"]', 'textarea'],
+        sendButton: ['button[data-testid="submit-button"]', 'button[aria-label="Submit message"]'],
+        conversationArea: ['main']
+      }
+    },
+    {
+      id: 'poe',
+      name: 'Poe',
+      version: 1,
+      hostPatterns: ['poe.com'],
+      selectors: {
+        // CSS-module class names keep a stable prefix before the hash
+        userMessage: ['[class*="Message_rightSideMessageBubble"]', '[class*="Message_humanMessageBubble"]'],
+        assistantMessage: ['[class*="Message_leftSideMessageBubble"]', '[class*="Message_botMessageBubble"]'],
+        allMessages: [
+          '[class*="Message_rightSideMessageBubble"], [class*="Message_leftSideMessageBubble"]',
+          '[class*="Message_humanMessageBubble"], [class*="Message_botMessageBubble"]'
+        ],
+        messageContent: ['[class*="Markdown_markdownContainer"]'],
+        inputArea: ['textarea[class*="GrowingTextArea_textArea"]', 'footer textarea', 'textarea'],
+        sendButton: ['button[data-button-send="true"]', 'button[class*="ChatMessageSendButton"]', 'button[aria-label="Send message"]'],
+        conversationArea: ['main', '[class*="ChatPageMain"]']
+      }
+    }
+  ];
+
+  /**
+   * Check an adapter definition and normalise it
+   * A selector field may be a single string or an array of strategies.
+   * @param {object} def - Adapter definition, e.g. from an imported file
+   * @returns {{adapter: object}|{error: string}} - Normalised copy, or why it was rejected
+   */
+  SessionLinkAdapters.validate = function(def) {
+    if (!def || typeof def !== 'object') {
+      return { error: 'Adapter must be an object' };
+    }
+    if (typeof def.id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,39}$/.test(def.id)) {
+      return { error: 'Adapter id must be lowercase letters, digits or dashes' };
+    }
+    const label = 'Adapter "' + def.id + '"';
+    if (typeof def.name !== 'string' || !def.name.trim()) {
+      return { error: label + ' needs a name' };
+    }
+    if (!Number.isInteger(def.version) || def.version < 1) {
+      return { error: label + ' needs a positive whole version number' };
+    }
+    const hosts = Array.isArray(def.hostPatterns) ? def.hostPatterns : [];
+    if (hosts.length === 0 || !hosts.every((h) => typeof h === 'string' && /^[a-z0-9.-]+$/i.test(h))) {
+      return { error: label + ' needs hostPatterns such as "chatgpt.com"' };
+    }
+    if (!def.selectors || typeof def.selectors !== 'object') {
+      return { error: label + ' needs selectors' };
+    }
+
+    const selectors = {};
+    for (const field of Object.keys(SessionLinkAdapters.FIELDS)) {
+      const value = def.selectors[field];
+      if (value === undefined) {
+        if (SessionLinkAdapters.FIELDS[field]) {
+          return { error: label + ' is missing the ' + field + ' selector' };
+        }
+        continue;
+      }
+      const strategies = (Array.isArray(value) ? value : [value]).filter((s) => typeof s === 'string' && s.trim());
+      if (strategies.length === 0) {
+        return { error: label + ' has an empty ' + field + ' selector' };
+      }
+      for (const strategy of strategies) {
+        if (!isValidSelector(strategy)) {
+          return { error: label + ' has an invalid ' + field + ' selector: ' + strategy };
+        }
+      }
+      selectors[field] = strategies.map((s) => s.trim());
+    }
+
+    return {
+      adapter: {
+        id: def.id,
+        name: def.name.trim(),
+        version: def.version,
+        hostPatterns: hosts.map((h) => h.toLowerCase()),
+        selectors: selectors
+      }
+    };
+  };
+
+  /**
+   * Read adapters from an imported JSON file
+   * Accepts a bundle ({format, adapters: [...]}), an array or a single adapter.
+   * @param {*} data - Parsed JSON
+   * @returns {{adapters: object[], errors: string[]}} - Valid adapters and rejection reasons
+   */
+  SessionLinkAdapters.parseImport = function(data) {
+    let list = data;
+    if (data && !Array.isArray(data) && Array.isArray(data.adapters)) {
+      if (data.format && data.format !== SessionLinkAdapters.FORMAT) {
+        return { adapters: [], errors: ['Not a SessionLink adapter file'] };
+      }
+      list = data.adapters;
+    }
+    if (!Array.isArray(list)) list = [list];
+
+    const adapters = [];
+    const errors = [];
+    list.forEach((def) => {
+      const result = SessionLinkAdapters.validate(def);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        adapters.push(result.adapter);
+      }
+    });
+    return { adapters: adapters, errors: errors };
+  };
+
+  /**
+   * Merge imported adapters over the built-in ones, then add custom sites
+   * @param {object} imported - Imported definitions keyed by id (storage importedAdapters)
+   * @param {object} [custom] - Custom site definitions keyed by id (storage customSites)
+   * @returns {object[]} - Active adapters, each with source 'built-in', 'imported' or 'custom'
+   */
+  SessionLinkAdapters.resolve = function(imported, custom) {
+    imported = imported || {};
+    const active = SessionLinkAdapters.BUILTIN.map((builtin) => {
+      const override = imported[builtin.id] && SessionLinkAdapters.validate(imported[builtin.id]).adapter;
+      if (override && override.version > builtin.version) {
+        return Object.assign({ source: 'imported', builtinVersion: builtin.version }, override);
+      }
+      return Object.assign({ source: 'built-in' }, builtin);
+    });
+
+    Object.keys(imported).forEach((id) => {
+      if (active.some((a) => a.id === id)) return;
+      const result = SessionLinkAdapters.validate(imported[id]);
+      if (result.adapter) active.push(Object.assign({ source: 'imported' }, result.adapter));
+    });
+
+    Object.keys(custom || {}).forEach((id) => {
+      const result = SessionLinkAdapters.validate(custom[id]);
+      if (result.adapter) active.push(Object.assign({ source: 'custom' }, result.adapter));
+    });
+    return active;
+  };
+
+  /**
+   * Find the adapter for a hostname
+   * @param {object[]} adapters - Active adapters from resolve()
+   * @param {string} hostname - e.g. location.hostname
+   * @returns {object|null} - Matching adapter
+   */
+  SessionLinkAdapters.forHost = function(adapters, hostname) {
+    for (const adapter of adapters) {
+      if (adapter.hostPatterns.some((pattern) => hostname.indexOf(pattern) !== -1)) {
+        return adapter;
+      }
+    }
+    return null;
+  };
+
+  function isValidSelector(selector) {
+    if (typeof document === 'undefined') return true;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Export to global scope
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionLinkAdapters;
+  } else {
+    global.SessionLinkAdapters = SessionLinkAdapters;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : this));
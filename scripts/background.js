@@ -30,17 +30,20 @@ var SUMMARIZATION_PROMPT =
 // ── Message listener ─────────────────────────────────────────────────
 chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
   // We MUST return true to signal that sendResponse will be called async.
-  handleMessage(message, sendResponse);
+  handleMessage(message, sender, sendResponse);
   return true;
 });
 
-function handleMessage(message, sendResponse) {
+function handleMessage(message, sender, sendResponse) {
   switch (message.action) {
     case 'summarize':
-      handleSummarize(message, sendResponse);
+      handleSummarize(message, sender, sendResponse);
+      break;
+    case 'saveTranscript':
+      handleSaveTranscript(message, sendResponse);
       break;
     case 'getLastSave':
-      getLastSave(sendResponse);
+      getLastSave(message.projectId, sendResponse);
       break;
     case 'getAllSaves':
       getAllSaves(sendResponse);
@@ -48,67 +51,252 @@ function handleMessage(message, sendResponse) {
     case 'hasSavedState':
       hasSavedState(sendResponse);
       break;
+    case 'getSave':
+      getSave(message.id, sendResponse);
+      break;
     case 'deleteSave':
       deleteSave(message.id, sendResponse);
       break;
+    case 'updateSave':
+      updateSave(message.id, message.changes || {}, sendResponse);
+      break;
+    case 'resummarize':
+      handleResummarize(message.id, sendResponse);
+      break;
+    case 'findSaveByUrl':
+      findSaveByUrl(message.url, sendResponse);
+      break;
+    case 'updateSummary':
+      handleUpdateSummary(message, sender, sendResponse);
+      break;
+    case 'autoSave':
+      handleAutoSave(message, sender, sendResponse);
+      break;
+    case 'rollbackSave':
+      rollbackSave(message.id, message.index, sendResponse);
+      break;
+    case 'exportSaves':
+      exportSaves(message.ids, sendResponse);
+      break;
+    case 'importSaves':
+      importSaves(message.bundle, sendResponse);
+      break;
+    case 'getProjects':
+      getProjects(message.url, sendResponse);
+      break;
+    case 'saveProject':
+      saveProject(message.project || {}, sendResponse);
+      break;
+    case 'deleteProject':
+      deleteProject(message.id, sendResponse);
+      break;
+    case 'assignSave':
+      assignSave(message.id, message.projectId || null, sendResponse);
+      break;
+    case 'getProjectMemory':
+      getProjectMemory(message.projectId, sender, sendResponse);
+      break;
+    case 'getVaultStatus':
+      getVaultStatus(sendResponse);
+      break;
+    case 'enableVault':
+      enableVault(message.passphrase, sendResponse);
+      break;
+    case 'unlockVault':
+      unlockVault(message.passphrase, sendResponse);
+      break;
+    case 'renewVaultLock':
+      // Only the popup's own actions count as activity, not page traffic
+      if (sender.tab) {
+        sendResponse({ success: false, error: 'Not allowed from a page' });
+      } else {
+        renewVaultLock(sendResponse);
+      }
+      break;
+    case 'lockVault':
+      lockVault(function () {
+        refreshContextMenus();
+        sendResponse({ success: true });
+      });
+      break;
+    case 'disableVault':
+      disableVault(message.passphrase, sendResponse);
+      break;
+    case 'setVaultApiKey':
+      setVaultApiKey(message.apiKey, sendResponse);
+      break;
     case 'getSettings':
       getSettings(sendResponse);
       break;
+    case 'getContentSettings':
+      getContentSettings(sendResponse);
+      break;
     case 'saveSettings':
       saveSettings(message.settings, sendResponse);
       break;
+    case 'testConnection':
+      testConnection(message.settings || {}, sendResponse);
+      break;
+    case 'listModels':
+      listModels(message.settings || {}, sendResponse);
+      break;
+    case 'getAdapters':
+      getAdapterDefinitions(sendResponse);
+      break;
+    case 'getAdapterStatus':
+      getAdapterStatus(sendResponse);
+      break;
+    case 'importAdapters':
+      importAdapters(message.adapters, sendResponse);
+      break;
+    case 'removeImportedAdapter':
+      removeImportedAdapter(message.id, sendResponse);
+      break;
+    case 'reportAdapterHealth':
+      reportAdapterHealth(message.report, sendResponse);
+      break;
+    case 'saveCustomSite':
+      saveCustomSite(message.site, sendResponse);
+      break;
+    case 'removeCustomSite':
+      removeCustomSite(message.id, sendResponse);
+      break;
+    case 'saveSiteDraft':
+      saveSiteDraft(message.draft, sendResponse);
+      break;
+    case 'getSiteDraft':
+      getSiteDraft(sendResponse);
+      break;
+    case 'clearSiteDraft':
+      chrome.storage.local.remove('customSiteDraft', function () { sendResponse({ success: true }); });
+      break;
+    case 'getToolbar':
+      getToolbar(message.platformId, sendResponse);
+      break;
+    case 'saveToolbarLayout':
+      saveToolbarLayout(message.platformId, message.layout, sendResponse);
+      break;
+    case 'getToolbarLayouts':
+      getToolbarLayouts(sendResponse);
+      break;
+    case 'resetToolbarLayout':
+      resetToolbarLayout(message.platformId, sendResponse);
+      break;
+    case 'getTemplates':
+      getTemplates(sendResponse);
+      break;
+    case 'saveTemplate':
+      saveTemplate(message.template, sendResponse);
+      break;
+    case 'deleteTemplate':
+      deleteTemplate(message.id, sendResponse);
+      break;
+    case 'restoreDefaultTemplate':
+      restoreDefaultTemplate(sendResponse);
+      break;
+    case 'setActiveTemplate':
+      setActiveTemplate(message.id, sendResponse);
+      break;
     default:
       sendResponse({ success: false, error: 'Unknown action: ' + message.action });
   }
 }
 
-// ── Summarise ────────────────────────────────────────────────────────
-function handleSummarize(message, sendResponse) {
-  chrome.storage.local.get(['settings'], function (result) {
-    if (chrome.runtime.lastError) {
-      sendResponse({ success: false, error: chrome.runtime.lastError.message });
-      return;
-    }
+// Used for each part of a conversation too long to summarise in one request
+var CHUNK_PROMPT =
+  'You are reading one part of a longer conversation between a user and an AI assistant. ' +
+  'Extract everything a later reader would need to continue the work:\n' +
+  '- Goals and requirements stated\n' +
+  '- Decisions made (and alternatives rejected, with reasons)\n' +
+  '- Technical details: languages, libraries, file names, variable names, commands\n' +
+  '- Problems found and whether they were solved\n' +
+  '- Open questions and agreed next steps\n\n' +
+  'Write concise bullet points. Do not add anything that is not in the text.';
 
-    var settings = result.settings || {};
-    if (!settings.apiKey) {
-      sendResponse({
-        success: false,
-        error: 'API key not configured. Open the SessionLink popup and add your API key.'
-      });
-      return;
-    }
+var DEFAULT_CHUNK_TOKENS = 6000;
 
-    var provider = settings.apiProvider || 'openai';
-    var apiKey = settings.apiKey;
+// ── Provider defaults ────────────────────────────────────────────────
+// Used whenever settings.providerOptions leaves a field blank.
+var PROVIDER_DEFAULTS = {
+  openai: { model: 'gpt-4o-mini', temperature: 0.3, maxTokens: 1000 },
+  gemini: { model: 'gemini-2.0-flash', temperature: 0.3, maxTokens: 1000 },
+  anthropic: { model: 'claude-3-5-haiku-latest', temperature: 0.3, maxTokens: 1000 },
+  custom: { model: '', temperature: 0.3, maxTokens: 1000 }
+};
 
-    var fetchPromise;
-    if (provider === 'openai') {
-      fetchPromise = callOpenAI(apiKey, message.conversation);
-    } else if (provider === 'gemini') {
-      fetchPromise = callGemini(apiKey, message.conversation);
-    } else {
-      sendResponse({ success: false, error: 'Invalid API provider: ' + provider });
+function getProviderOptions(settings, provider) {
+  var defaults = PROVIDER_DEFAULTS[provider] || PROVIDER_DEFAULTS.openai;
+  var stored = (settings.providerOptions && settings.providerOptions[provider]) || {};
+  var options = {
+    model: stored.model || defaults.model,
+    temperature: typeof stored.temperature === 'number' ? stored.temperature : defaults.temperature,
+    maxTokens: stored.maxTokens || defaults.maxTokens
+  };
+  // Settings saved before per-provider options kept the custom model at the top level
+  if (provider === 'custom' && !options.model) options.model = settings.customModel || '';
+  return options;
+}
+
+// ── Summarise ────────────────────────────────────────────────────────
+function handleSummarize(message, sender, sendResponse) {
+  readSettings(['settings', 'promptTemplates'], function (err, result) {
+    if (err) {
+      sendResponse({ success: false, error: err });
       return;
     }
 
-    fetchPromise
+    var settings = result.settings || {};
+    var template = resolveTemplate(
+      withBuiltinTemplate(result.promptTemplates),
+      message.templateId || settings.activeTemplateId
+    );
+    var timestamp = message.timestamp || new Date().toISOString();
+    var systemPrompt = fillTemplate(template.body, {
+      platform: message.platform || 'Unknown',
+      url: message.url || '',
+      title: message.title || '',
+      date: new Date(timestamp).toLocaleString()
+    });
+    var messages = message.messages || [{ role: 'user', content: message.conversation || '' }];
+    var tabId = sender && sender.tab ? sender.tab.id : null;
+    var redactor = createRedactor(settings);
+    var outgoing = redactor.redactMessages(messages);
+    if (redactor.found()) systemPrompt += REDACTION_NOTE;
+
+    summarizeMessages(settings, outgoing, systemPrompt, function (progress) {
+      reportProgress(tabId, progress);
+    })
       .then(function (summary) {
         var saveData = {
           id: generateId(),
           summary: summary,
           platform: message.platform || 'Unknown',
           url: message.url || '',
-          timestamp: message.timestamp || new Date().toISOString(),
-          preview: summary.substring(0, 120)
+          timestamp: timestamp,
+          preview: summary.substring(0, 120),
+          title: deriveTitle(summary),
+          tags: [],
+          note: '',
+          pinned: false,
+          templateId: template.id,
+          templateName: template.name,
+          lastTurnHash: messages.length ? hashTurn(messages[messages.length - 1]) : null,
+          versions: []
         };
+        if (settings.storeTranscript && message.messages) {
+          saveData.transcript = message.messages;
+        }
+        recordRedactions(saveData, redactor);
 
-        saveSummary(saveData, function (err) {
-          if (err) {
-            sendResponse({ success: false, error: 'Saved summary but storage failed: ' + err });
-          } else {
-            sendResponse({ success: true, data: saveData });
-          }
+        findProjectForUrl(saveData.url, function (projectId) {
+          saveData.projectId = projectId;
+          saveSummary(saveData, function (err) {
+            if (err) {
+              sendResponse({ success: false, error: 'Saved summary but storage failed: ' + err });
+            } else {
+              sendResponse({ success: true, data: saveData });
+            }
+          });
         });
       })
       .catch(function (err) {
@@ -118,174 +306,3141 @@ function handleSummarize(message, sendResponse) {
   });
 }
 
-// ── OpenAI API ───────────────────────────────────────────────────────
-function callOpenAI(apiKey, conversation) {
-  return fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': 'Bearer ' + apiKey
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: SUMMARIZATION_PROMPT },
-        { role: 'user', content: conversation }
-      ],
-      max_tokens: 1000,
-      temperature: 0.3
-    })
-  }).then(function (response) {
-    if (!response.ok) {
-      return response.json().catch(function () { return {}; }).then(function (body) {
-        throw new Error((body.error && body.error.message) || 'OpenAI API error: ' + response.status);
-      });
-    }
-    return response.json();
-  }).then(function (data) {
-    return data.choices[0].message.content;
+// ── Transcript-only saves ────────────────────────────────────────────
+// No provider involved: the conversation is stored as captured, and its
+// summary field holds the plain transcript so search, copy and resume all
+// work. Re-summarizing later turns it into a normal save.
+function handleSaveTranscript(message, sendResponse) {
+  var messages = message.messages || [];
+  if (messages.length === 0) {
+    sendResponse({ success: false, error: 'No conversation to save' });
+    return;
+  }
+
+  var text = formatTranscript(messages);
+  var saveData = {
+    id: generateId(),
+    kind: 'transcript',
+    summary: text,
+    platform: message.platform || 'Unknown',
+    url: message.url || '',
+    timestamp: message.timestamp || new Date().toISOString(),
+    preview: text.substring(0, 120),
+    title: transcriptTitle(message),
+    tags: [],
+    note: '',
+    pinned: false,
+    lastTurnHash: hashTurn(messages[messages.length - 1]),
+    transcript: messages,
+    versions: []
+  };
+
+  findProjectForUrl(saveData.url, function (projectId) {
+    saveData.projectId = projectId;
+    saveSummary(saveData, function (err) {
+      if (err) {
+        sendResponse({ success: false, error: 'Could not store transcript: ' + err });
+      } else {
+        sendResponse({ success: true, data: saveData });
+      }
+    });
   });
 }
 
-// ── Gemini API ───────────────────────────────────────────────────────
-function callGemini(apiKey, conversation) {
-  var url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=' + apiKey;
-  return fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{ text: SUMMARIZATION_PROMPT + '\n\n---\n\nCONVERSATION:\n' + conversation }]
-      }],
-      generationConfig: { temperature: 0.3, maxOutputTokens: 1000 }
-    })
-  }).then(function (response) {
-    if (!response.ok) {
-      return response.json().catch(function () { return {}; }).then(function (body) {
-        throw new Error((body.error && body.error.message) || 'Gemini API error: ' + response.status);
-      });
+// The page title when it names the conversation, else the first question
+function transcriptTitle(message) {
+  var pageTitle = String(message.title || '').replace(/\s*[-|–]\s*(ChatGPT|Claude|Gemini|Perplexity|Le Chat|Mistral AI|DeepSeek|Microsoft Copilot|Copilot|Poe)\s*$/i, '').trim();
+  if (pageTitle && pageTitle.toLowerCase() !== String(message.platform || '').toLowerCase()) {
+    return pageTitle.substring(0, 80);
+  }
+  var first = (message.messages || []).filter(function (m) { return m.role === 'user'; })[0];
+  var line = first ? first.content.split('\n')[0].trim() : '';
+  return line ? (line.length > 80 ? line.substring(0, 77) + '…' : line) : 'Transcript';
+}
+
+// ── Re-summarise a stored transcript ─────────────────────────────────
+// Runs the current provider and default template again, without the chat page.
+function handleResummarize(id, sendResponse) {
+  readSettings(['settings', 'promptTemplates'], function (err, result) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
     }
-    return response.json();
-  }).then(function (data) {
-    return data.candidates[0].content.parts[0].text;
+
+    storeGetSave(id, function (err, save) {
+      if (err || !save) {
+        sendResponse({ success: false, error: err || 'Saved state not found' });
+        return;
+      }
+      resummarize(save, result, sendResponse);
+    });
   });
 }
 
-// ── Storage helpers (all callback-based) ─────────────────────────────
-function saveSummary(saveData, callback) {
-  chrome.storage.local.get(['saves'], function (result) {
-    if (chrome.runtime.lastError) {
-      callback(chrome.runtime.lastError.message);
+function resummarize(save, result, sendResponse) {
+  if (!save.transcript || save.transcript.length === 0) {
+    sendResponse({ success: false, error: 'This save has no stored transcript' });
+    return;
+  }
+
+  var settings = result.settings || {};
+  var template = resolveTemplate(withBuiltinTemplate(result.promptTemplates), settings.activeTemplateId);
+  var systemPrompt = fillTemplate(template.body, {
+    platform: save.platform || 'Unknown',
+    url: save.url || '',
+    title: '',
+    date: new Date(save.timestamp).toLocaleString()
+  });
+
+  var redactor = createRedactor(settings);
+  var outgoing = redactor.redactMessages(save.transcript);
+  if (redactor.found()) systemPrompt += REDACTION_NOTE;
+
+  summarizeMessages(settings, outgoing, systemPrompt, function () {})
+    .then(function (summary) {
+      updateStoredSave(save.id, function (record) {
+        // A transcript-only save becomes a normal one; the raw text it held
+        // is still in record.transcript, so it isn't kept as a version
+        if (record.kind === 'transcript') {
+          delete record.kind;
+        } else {
+          pushVersion(record);
+        }
+        recordRedactions(record, redactor);
+        record.summary = summary;
+        record.preview = summary.substring(0, 120);
+        record.templateId = template.id;
+        record.templateName = template.name;
+        record.updatedAt = new Date().toISOString();
+        if (!record.titleEdited) record.title = deriveTitle(summary);
+      }, sendResponse);
+    })
+    .catch(function (err) {
+      console.error('SessionLink: re-summarization error', err);
+      sendResponse({ success: false, error: err.message || String(err) });
+    });
+}
+
+// ── Incremental update of an existing save ───────────────────────────
+// Only the turns added since the save was last written go to the provider,
+// together with the previous summary. The old summary is kept in
+// save.versions so it can be diffed and rolled back from the popup.
+var UPDATE_INSTRUCTIONS =
+  '\n\nYou are UPDATING an existing handoff. The input starts with the PREVIOUS HANDOFF, ' +
+  'followed by the conversation turns added since it was written. Return the complete, ' +
+  'revised handoff in the same structure: keep what is still true, change what the new ' +
+  'turns changed, and add anything new. Do not mention that this is an update.';
+
+var MAX_VERSIONS = 20;
+
+function handleUpdateSummary(message, sender, sendResponse) {
+  readSettings(['settings', 'promptTemplates'], function (err, result) {
+    if (err) {
+      sendResponse({ success: false, error: err });
       return;
     }
-    var saves = result.saves || [];
-    saves.unshift(saveData);
-    if (saves.length > 20) saves = saves.slice(0, 20);
 
-    chrome.storage.local.set({ saves: saves }, function () {
-      if (chrome.runtime.lastError) {
-        callback(chrome.runtime.lastError.message);
-      } else {
-        callback(null);
+    storeGetSave(message.id, function (err, save) {
+      if (err || !save) {
+        sendResponse({ success: false, error: err || 'Saved state not found' });
+        return;
       }
+
+      var messages = message.messages || [];
+      var newTurns = turnsSince(messages, save.lastTurnHash);
+      if (newTurns.length === 0) {
+        sendResponse({ success: false, error: 'Nothing new since the last save' });
+        return;
+      }
+
+      var settings = result.settings || {};
+      var template = resolveTemplate(
+        withBuiltinTemplate(result.promptTemplates),
+        message.templateId || save.templateId || settings.activeTemplateId
+      );
+      var timestamp = message.timestamp || new Date().toISOString();
+      var systemPrompt = fillTemplate(template.body, {
+        platform: message.platform || save.platform || 'Unknown',
+        url: message.url || save.url || '',
+        title: message.title || '',
+        date: new Date(timestamp).toLocaleString()
+      }) + UPDATE_INSTRUCTIONS;
+      // Numbering continues after the placeholders already in the summary
+      var redactor = createRedactor(settings, save);
+      var input = [{ role: 'previous handoff', content: save.summary }].concat(redactor.redactMessages(newTurns));
+      if (redactor.found() || save.redactions) systemPrompt += REDACTION_NOTE;
+      var tabId = sender && sender.tab ? sender.tab.id : null;
+
+      summarizeMessages(settings, input, systemPrompt, function (progress) {
+        reportProgress(tabId, progress);
+      })
+        .then(function (summary) {
+          storeUpdateSave(save.id, function (record) {
+            pushVersion(record);
+            record.summary = summary;
+            record.preview = summary.substring(0, 120);
+            record.templateId = template.id;
+            record.templateName = template.name;
+            record.createdAt = record.createdAt || record.timestamp;
+            record.timestamp = timestamp;
+            record.updatedAt = new Date().toISOString();
+            record.lastTurnHash = hashTurn(messages[messages.length - 1]);
+            recordRedactions(record, redactor);
+            if (!record.titleEdited) record.title = deriveTitle(summary);
+            // The capture may only hold the recent turns; keep what was stored
+            if (settings.storeTranscript) {
+              record.transcript = record.transcript ? record.transcript.concat(newTurns) : messages;
+            }
+          }, function (updateErr, record) {
+            if (updateErr) {
+              sendResponse({ success: false, error: 'Updated summary but storage failed: ' + updateErr });
+            } else {
+              sendResponse({ success: true, data: normalizeSave(record), newTurns: newTurns.length });
+            }
+          });
+        })
+        .catch(function (summarizeErr) {
+          console.error('SessionLink: update error', summarizeErr);
+          sendResponse({ success: false, error: summarizeErr.message || String(summarizeErr) });
+        });
     });
   });
 }
 
-function getLastSave(sendResponse) {
-  chrome.storage.local.get(['saves'], function (result) {
-    if (chrome.runtime.lastError) {
-      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+// Turns after the one that ended the previous save. If that turn is no
+// longer on the page (e.g. it scrolled out of the capture window), every
+// captured turn counts as new.
+function turnsSince(messages, lastTurnHash) {
+  if (!lastTurnHash) return messages;
+  for (var i = messages.length - 1; i >= 0; i--) {
+    if (hashTurn(messages[i]) === lastTurnHash) return messages.slice(i + 1);
+  }
+  return messages;
+}
+
+// FNV-1a over role + content; only used to recognise a turn seen before
+function hashTurn(message) {
+  var text = message.role + '\n' + message.content;
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+// Call before overwriting record.summary; newest version first
+function pushVersion(record) {
+  var versions = record.versions || [];
+  versions.unshift({
+    summary: record.summary,
+    timestamp: record.updatedAt || record.timestamp,
+    templateName: record.templateName || null
+  });
+  record.versions = versions.slice(0, MAX_VERSIONS);
+}
+
+// The newest save for this exact URL, or data: null
+function findSaveByUrl(url, sendResponse) {
+  if (!url) {
+    sendResponse({ success: true, data: null });
+    return;
+  }
+  withStore('saves', 'readonly', function (store) {
+    var out = { value: [] };
+    store.index('url').getAll(url).onsuccess = function (event) {
+      out.value = event.target.result || [];
+    };
+    return out;
+  }, function (err, saves) {
+    if (err) {
+      sendResponse({ success: false, error: err });
       return;
     }
-    var saves = result.saves || [];
-    if (saves.length > 0) {
-      sendResponse({ success: true, data: saves[0] });
-    } else {
-      sendResponse({ success: false, error: 'No saved states found' });
+    // Transcript-only saves have no handoff to extend
+    saves = saves.filter(function (save) { return save.kind !== 'transcript'; });
+    saves.sort(function (a, b) {
+      return a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0;
+    });
+    if (!saves.length) {
+      sendResponse({ success: true, data: null });
+      return;
     }
+    openStoredRecord(saves[0], function (openErr, save) {
+      if (openErr) {
+        sendResponse({ success: false, error: openErr });
+      } else {
+        sendResponse({ success: true, data: normalizeSave(save) });
+      }
+    });
   });
 }
 
-function getAllSaves(sendResponse) {
-  chrome.storage.local.get(['saves'], function (result) {
-    if (chrome.runtime.lastError) {
-      sendResponse({ success: false, error: chrome.runtime.lastError.message });
-      return;
+// Makes versions[index] current again; the replaced summary becomes a version
+function rollbackSave(id, index, sendResponse) {
+  var restored = false;
+  storeUpdateSave(id, function (record) {
+    var version = (record.versions || [])[index];
+    if (!version) return;
+    restored = true;
+    record.versions.splice(index, 1);
+    pushVersion(record);
+    record.summary = version.summary;
+    record.preview = version.summary.substring(0, 120);
+    record.templateName = version.templateName;
+    record.updatedAt = new Date().toISOString();
+    if (!record.titleEdited) record.title = deriveTitle(version.summary);
+  }, function (err, record) {
+    if (!err && !restored) err = 'Version not found';
+    if (err) {
+      sendResponse({ success: false, error: err });
+    } else {
+      sendResponse({ success: true, data: normalizeSave(record) });
     }
-    sendResponse({ success: true, data: result.saves || [] });
   });
 }
 
-function hasSavedState(sendResponse) {
-  chrome.storage.local.get(['saves'], function (result) {
-    if (chrome.runtime.lastError) {
-      sendResponse({ success: false, error: chrome.runtime.lastError.message });
-      return;
-    }
-    var saves = result.saves || [];
-    sendResponse({ success: true, hasSaved: saves.length > 0 });
+// ── Auto-save ────────────────────────────────────────────────────────
+// The content script decides *when* (new assistant turns, tab hidden or
+// closed); this decides *whether*, so the limits hold across tabs. Repeat
+// saves of a conversation become incremental updates.
+var AUTO_SAVE_DEFAULTS = {
+  enabled: false,
+  platforms: {}, // platform id -> false to opt out; missing means on
+  turnThreshold: 3,
+  minIntervalMinutes: 10,
+  maxPerHour: 6
+};
+
+function getAutoSaveSettings(settings) {
+  var autoSave = settings.autoSave || {};
+  var out = {};
+  Object.keys(AUTO_SAVE_DEFAULTS).forEach(function (key) {
+    out[key] = autoSave[key] !== undefined ? autoSave[key] : AUTO_SAVE_DEFAULTS[key];
   });
+  return out;
 }
 
-function deleteSave(id, sendResponse) {
-  chrome.storage.local.get(['saves'], function (result) {
-    if (chrome.runtime.lastError) {
-      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+function handleAutoSave(message, sender, sendResponse) {
+  readSettings(['settings', 'autoSaveLog'], function (err, result) {
+    if (err) {
+      // Includes a locked vault: nothing to do until the user unlocks
+      sendResponse({ success: false, skipped: true, error: err });
       return;
     }
-    var saves = result.saves || [];
-    var filtered = [];
-    for (var i = 0; i < saves.length; i++) {
-      if (saves[i].id !== id) filtered.push(saves[i]);
+
+    var config = getAutoSaveSettings(result.settings || {});
+    var skip = function (reason) {
+      sendResponse({ success: false, skipped: true, error: reason });
+    };
+    if (!config.enabled || config.platforms[message.platformId] === false) {
+      skip('Auto-save is off for this site');
+      return;
     }
-    chrome.storage.local.set({ saves: filtered }, function () {
-      if (chrome.runtime.lastError) {
-        sendResponse({ success: false, error: chrome.runtime.lastError.message });
-      } else {
-        sendResponse({ success: true });
-      }
+
+    // Attempts in the last hour, oldest first
+    var now = Date.now();
+    var log = (result.autoSaveLog || []).filter(function (entry) {
+      return now - entry.time < 3600000;
+    });
+    var lastForUrl = log.filter(function (entry) { return entry.url === message.url; }).pop();
+    if (lastForUrl && now - lastForUrl.time < config.minIntervalMinutes * 60000) {
+      skip('This conversation was auto-saved less than ' + config.minIntervalMinutes + ' min ago');
+      return;
+    }
+    if (config.maxPerHour > 0 && log.length >= config.maxPerHour) {
+      skip('Hourly auto-save limit reached');
+      return;
+    }
+
+    log.push({ url: message.url, time: now });
+    chrome.storage.local.set({ autoSaveLog: log }, function () {
+      findSaveByUrl(message.url, function (found) {
+        if (found.success && found.data) {
+          handleUpdateSummary(Object.assign({}, message, { id: found.data.id }), sender, sendResponse);
+        } else {
+          handleSummarize(message, sender, sendResponse);
+        }
+      });
     });
   });
 }
 
-function getSettings(sendResponse) {
-  chrome.storage.local.get(['settings'], function (result) {
-    if (chrome.runtime.lastError) {
-      sendResponse({ success: false, error: chrome.runtime.lastError.message });
-      return;
+// ── Redaction ────────────────────────────────────────────────────────
+// Secrets and personal data are swapped for placeholders such as
+// [REDACTED_EMAIL_1] before any text reaches a provider. The same value
+// always gets the same placeholder within a save. Saves record what was
+// redacted (type and count); the original values are kept, locally, only
+// when "restore on resume" is on.
+var REDACTION_DETECTORS = [
+  {
+    id: 'apiKeys',
+    type: 'PRIVATE_KEY',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  {
+    id: 'apiKeys',
+    type: 'API_KEY',
+    pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16})/g
+  },
+  {
+    id: 'jwt',
+    type: 'JWT',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g
+  },
+  {
+    // Only the value after "password=" / "token:" etc. is replaced
+    id: 'passwords',
+    type: 'PASSWORD',
+    pattern: /((?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|token)["']?\s*[:=]\s*)("[^"\n]+"|'[^'\n]+'|[^\s,;]+)/gi,
+    keepPrefix: true
+  },
+  {
+    id: 'emails',
+    type: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    id: 'ips',
+    type: 'IP',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}\b/g
+  },
+  {
+    id: 'creditCards',
+    type: 'CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    test: passesLuhn
+  },
+  {
+    id: 'entropy',
+    type: 'SECRET',
+    pattern: /[A-Za-z0-9+\/_=-]{32,}/g,
+    test: looksRandom
+  }
+];
+
+var REDACTION_NOTE =
+  '\n\nSome values in the conversation were replaced with placeholders such as ' +
+  '[REDACTED_EMAIL_1] before you received it. Copy any placeholder you need exactly ' +
+  'as written and never guess the original value.';
+
+function getRedactionSettings(settings) {
+  var redaction = settings.redaction || {};
+  return {
+    enabled: redaction.enabled !== false,
+    detectors: redaction.detectors || {},
+    customRules: Array.isArray(redaction.customRules) ? redaction.customRules : [],
+    restoreOnResume: !!redaction.restoreOnResume
+  };
+}
+
+// "/pattern/flags" or a bare pattern; invalid rules are skipped
+function parseRedactionRule(source) {
+  var match = String(source).match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (match) {
+      return new RegExp(match[1], match[2].indexOf('g') === -1 ? match[2] + 'g' : match[2]);
     }
-    sendResponse({ success: true, data: result.settings || {} });
+    return source ? new RegExp(source, 'g') : null;
+  } catch (e) {
+    console.warn('SessionLink: ignoring invalid redaction rule', source, e.message);
+    return null;
+  }
+}
+
+// `previous` (a save) lets an update keep its placeholders and numbering
+function createRedactor(settings, previous) {
+  var config = getRedactionSettings(settings);
+  var rules = [];
+  if (config.enabled) {
+    rules = REDACTION_DETECTORS.filter(function (detector) {
+      return config.detectors[detector.id] !== false;
+    });
+    config.customRules.forEach(function (source) {
+      var pattern = parseRedactionRule(source);
+      if (pattern) rules.push({ type: 'CUSTOM', pattern: pattern });
+    });
+  }
+
+  var map = Object.assign({}, previous && previous.redactionMap);
+  var byValue = {};
+  Object.keys(map).forEach(function (placeholder) {
+    byValue[map[placeholder]] = placeholder;
+  });
+  var counts = {};
+  ((previous && previous.redactions) || []).forEach(function (entry) {
+    counts[entry.type] = entry.count;
   });
+  var found = false;
+
+  function placeholderFor(type, value) {
+    found = true;
+    if (byValue[value]) return byValue[value];
+    counts[type] = (counts[type] || 0) + 1;
+    var placeholder = '[REDACTED_' + type + '_' + counts[type] + ']';
+    byValue[value] = placeholder;
+    map[placeholder] = value;
+    return placeholder;
+  }
+
+  function redact(text) {
+    return rules.reduce(function (out, rule) {
+      return out.replace(rule.pattern, function (match, prefix, value) {
+        if (!match) return match;
+        if (rule.keepPrefix) {
+          if (/^["']?\[REDACTED_/.test(value)) return match;
+          return prefix + placeholderFor(rule.type, value);
+        }
+        if (rule.test && !rule.test(match)) return match;
+        return placeholderFor(rule.type, match);
+      });
+    }, String(text || ''));
+  }
+
+  return {
+    redactMessages: function (messages) {
+      return messages.map(function (msg) {
+        return { role: msg.role, content: redact(msg.content) };
+      });
+    },
+    found: function () {
+      return found;
+    },
+    redactions: function () {
+      return Object.keys(counts).map(function (type) {
+        return { type: type, count: counts[type] };
+      });
+    },
+    map: function () {
+      return config.restoreOnResume ? map : {};
+    }
+  };
 }
 
-function saveSettings(settings, sendResponse) {
-  chrome.storage.local.set({ settings: settings }, function () {
-    if (chrome.runtime.lastError) {
-      sendResponse({ success: false, error: chrome.runtime.lastError.message });
-    } else {
-      sendResponse({ success: true });
+function recordRedactions(record, redactor) {
+  var redactions = redactor.redactions();
+  var map = redactor.map();
+  if (redactions.length) {
+    record.redactions = redactions;
+  } else {
+    delete record.redactions;
+  }
+  if (Object.keys(map).length) {
+    record.redactionMap = map;
+  } else {
+    delete record.redactionMap;
+  }
+}
+
+function passesLuhn(candidate) {
+  var digits = candidate.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  var sum = 0;
+  for (var i = 0; i < digits.length; i++) {
+    var d = parseInt(digits.charAt(digits.length - 1 - i), 10);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
     }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Random-looking tokens: mixed case and digits, high Shannon entropy, and
+// no long lowercase words (which rules out camelCase identifiers and hex hashes)
+function looksRandom(token) {
+  if (!/[A-Z]/.test(token) || !/[a-z]/.test(token) || !/\d/.test(token)) return false;
+  if (/[a-z]{7,}/.test(token)) return false;
+  var freq = {};
+  for (var i = 0; i < token.length; i++) {
+    freq[token[i]] = (freq[token[i]] || 0) + 1;
+  }
+  var entropy = 0;
+  Object.keys(freq).forEach(function (ch) {
+    var p = freq[ch] / token.length;
+    entropy -= p * Math.log2(p);
   });
+  return entropy >= 4.2;
 }
 
-// ── Utility ──────────────────────────────────────────────────────────
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+// ── Chunked (map-reduce) summarisation ───────────────────────────────
+// Transcripts that fit the token budget go out in a single request. Longer
+// ones are split on message boundaries, each chunk is condensed with
+// CHUNK_PROMPT, and the notes are merged in a final pass with the template.
+function summarizeMessages(settings, messages, systemPrompt, onProgress) {
+  var budget = settings.chunkTokens || DEFAULT_CHUNK_TOKENS;
+  var transcript = formatTranscript(messages);
+
+  if (estimateTokens(transcript) <= budget) {
+    return callProvider(settings, transcript, systemPrompt);
+  }
+
+  var chunks = chunkMessages(messages, budget);
+  var notes = [];
+  var sequence = Promise.resolve();
+
+  chunks.forEach(function (chunk, index) {
+    sequence = sequence.then(function () {
+      onProgress({ stage: 'chunk', done: index, total: chunks.length });
+      return callProvider(settings, formatTranscript(chunk), CHUNK_PROMPT).then(function (note) {
+        notes.push('### Part ' + (index + 1) + ' of ' + chunks.length + '\n' + note);
+      });
+    });
+  });
+
+  return sequence.then(function () {
+    onProgress({ stage: 'merge', done: chunks.length, total: chunks.length });
+    return callProvider(
+      settings,
+      'The conversation was too long to send at once. Below are notes taken from each ' +
+      'consecutive part, in order. Treat later parts as more recent.\n\n' + notes.join('\n\n'),
+      systemPrompt
+    );
+  });
 }
 
-// ── Lifecycle events ─────────────────────────────────────────────────
-chrome.runtime.onInstalled.addListener(function (details) {
-  if (details.reason === 'install') {
-    chrome.tabs.create({ url: chrome.runtime.getURL('pages/onboarding.html') });
+// Greedy packing on message boundaries; a single oversized message is split by length
+function chunkMessages(messages, budget) {
+  var maxChars = budget * 4;
+  var chunks = [];
+  var current = [];
+  var currentChars = 0;
 
-    chrome.storage.local.set({
-      settings: { apiProvider: 'openai', apiKey: '' },
-      saves: []
+  messages.forEach(function (msg) {
+    var pieces = [];
+    for (var start = 0; start < msg.content.length; start += maxChars) {
+      pieces.push({ role: msg.role, content: msg.content.substring(start, start + maxChars) });
+    }
+    if (pieces.length === 0) return;
+
+    pieces.forEach(function (piece) {
+      var size = piece.content.length + piece.role.length + 4;
+      if (currentChars + size > maxChars && current.length > 0) {
+        chunks.push(current);
+        current = [];
+        currentChars = 0;
+      }
+      current.push(piece);
+      currentChars += size;
+    });
+  });
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+function formatTranscript(messages) {
+  return messages.map(function (m) {
+    return m.role.toUpperCase() + ': ' + m.content;
+  }).join('\n\n');
+}
+
+// Rough estimate (~4 characters per token) – good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function reportProgress(tabId, progress) {
+  if (tabId === null) return;
+  chrome.tabs.sendMessage(tabId, Object.assign({ action: 'summarizeProgress' }, progress), function () {
+    // The tab may have navigated away; nothing to do
+    void chrome.runtime.lastError;
+  });
+}
+
+// ── Provider dispatch ────────────────────────────────────────────────
+function callProvider(settings, conversation, systemPrompt) {
+  var provider = settings.apiProvider || 'openai';
+  var apiKey = settings.apiKey;
+  var options = getProviderOptions(settings, provider);
+  options.systemPrompt = systemPrompt || SUMMARIZATION_PROMPT;
+
+  // Self-hosted endpoints (Ollama, LM Studio, vLLM) usually need no key
+  if (!apiKey && provider !== 'custom') {
+    return Promise.reject(new Error('API key not configured. Open the SessionLink popup and add your API key.'));
+  }
+
+  if (provider === 'openai') {
+    return callOpenAI(apiKey, conversation, options);
+  } else if (provider === 'gemini') {
+    return callGemini(apiKey, conversation, options);
+  } else if (provider === 'anthropic') {
+    return callAnthropic(apiKey, conversation, options);
+  } else if (provider === 'custom') {
+    if (!settings.customBaseUrl || !options.model) {
+      return Promise.reject(new Error(
+        'Custom endpoint not configured. Open the SessionLink popup and set a base URL and model.'
+      ));
+    }
+    return callCustom(settings, conversation, options);
+  }
+  return Promise.reject(new Error('Invalid API provider: ' + provider));
+}
+
+// ── OpenAI API ───────────────────────────────────────────────────────
+function callOpenAI(apiKey, conversation, options) {
+  return callOpenAICompatible(
+    'https://api.openai.com/v1/chat/completions', apiKey, conversation, options, 'OpenAI'
+  );
+}
+
+// ── Custom OpenAI-compatible endpoint (Ollama, LM Studio, vLLM) ──────
+function callCustom(settings, conversation, options) {
+  return callOpenAICompatible(
+    normalizeBaseUrl(settings.customBaseUrl) + '/chat/completions',
+    settings.apiKey,
+    conversation,
+    options,
+    'Custom endpoint'
+  );
+}
+
+function callOpenAICompatible(endpoint, apiKey, conversation, options, label) {
+  var headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = 'Bearer ' + apiKey;
+
+  return fetch(endpoint, {
+    method: 'POST',
+    headers: headers,
+    body: JSON.stringify({
+      model: options.model,
+      messages: [
+        { role: 'system', content: options.systemPrompt },
+        { role: 'user', content: conversation }
+      ],
+      max_tokens: options.maxTokens,
+      temperature: options.temperature
+    })
+  }).then(function (response) {
+    return parseApiResponse(response, label);
+  }).then(function (data) {
+    return data.choices[0].message.content;
+  });
+}
+
+// Strip trailing slashes so "http://localhost:11434/v1/" and ".../v1" behave the same
+function normalizeBaseUrl(baseUrl) {
+  return String(baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+// ── Gemini API ───────────────────────────────────────────────────────
+function callGemini(apiKey, conversation, options) {
+  var url = 'https://generativelanguage.googleapis.com/v1beta/models/' +
+    encodeURIComponent(options.model) + ':generateContent?key=' + apiKey;
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{
+        parts: [{ text: options.systemPrompt + '\n\n---\n\nCONVERSATION:\n' + conversation }]
+      }],
+      generationConfig: { temperature: options.temperature, maxOutputTokens: options.maxTokens }
+    })
+  }).then(function (response) {
+    return parseApiResponse(response, 'Gemini');
+  }).then(function (data) {
+    return data.candidates[0].content.parts[0].text;
+  });
+}
+
+// ── Anthropic API ────────────────────────────────────────────────────
+function anthropicHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+    // Required for requests made directly from a browser context
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+}
+
+function callAnthropic(apiKey, conversation, options) {
+  return fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: anthropicHeaders(apiKey),
+    body: JSON.stringify({
+      model: options.model,
+      system: options.systemPrompt,
+      messages: [
+        { role: 'user', content: conversation }
+      ],
+      max_tokens: options.maxTokens,
+      temperature: options.temperature
+    })
+  }).then(function (response) {
+    return parseApiResponse(response, 'Anthropic');
+  }).then(function (data) {
+    return data.content[0].text;
+  });
+}
+
+// Shared error mapping: surface the provider's own message when it sends one
+function parseApiResponse(response, label) {
+  if (!response.ok) {
+    return response.json().catch(function () { return {}; }).then(function (body) {
+      throw new Error((body.error && body.error.message) || label + ' API error: ' + response.status);
+    });
+  }
+  return response.json();
+}
+
+// ── Model lists ──────────────────────────────────────────────────────
+function listModels(settings, sendResponse) {
+  withStoredApiKey(settings, function (keyErr, resolved) {
+    if (keyErr) {
+      sendResponse({ success: false, error: keyErr });
+      return;
+    }
+    fetchModelList(resolved)
+      .then(function (models) {
+        sendResponse({ success: true, data: models });
+      })
+      .catch(function (err) {
+        sendResponse({ success: false, error: err.message || String(err) });
+      });
+  });
+}
+
+function fetchModelList(settings) {
+  var provider = settings.apiProvider || 'openai';
+  var apiKey = settings.apiKey;
+
+  if (!apiKey && provider !== 'custom') {
+    return Promise.reject(new Error('Enter an API key first.'));
+  }
+
+  if (provider === 'openai') {
+    return fetch('https://api.openai.com/v1/models', {
+      headers: { 'Authorization': 'Bearer ' + apiKey }
+    }).then(function (response) {
+      return parseApiResponse(response, 'OpenAI');
+    }).then(function (data) {
+      // Skip embeddings, audio, image and moderation models
+      return pluckIds(data.data).filter(function (id) {
+        return /^(gpt-|o\d|chatgpt-)/.test(id) && !/(audio|realtime|transcribe|tts|image|search)/.test(id);
+      });
+    });
+  }
+
+  if (provider === 'gemini') {
+    return fetch('https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=' + apiKey)
+      .then(function (response) {
+        return parseApiResponse(response, 'Gemini');
+      })
+      .then(function (data) {
+        return (data.models || [])
+          .filter(function (m) {
+            return (m.supportedGenerationMethods || []).indexOf('generateContent') !== -1;
+          })
+          .map(function (m) { return m.name.replace(/^models\//, ''); })
+          .sort();
+      });
+  }
+
+  if (provider === 'anthropic') {
+    return fetch('https://api.anthropic.com/v1/models?limit=1000', {
+      headers: anthropicHeaders(apiKey)
+    }).then(function (response) {
+      return parseApiResponse(response, 'Anthropic');
+    }).then(function (data) {
+      return pluckIds(data.data);
+    });
+  }
+
+  if (provider === 'custom') {
+    var baseUrl = normalizeBaseUrl(settings.customBaseUrl);
+    if (!baseUrl) return Promise.reject(new Error('Enter a base URL first.'));
+
+    var headers = {};
+    if (apiKey) headers['Authorization'] = 'Bearer ' + apiKey;
+    return fetch(baseUrl + '/models', { headers: headers })
+      .then(function (response) {
+        return parseApiResponse(response, 'Custom endpoint');
+      })
+      .then(function (data) {
+        return pluckIds(data.data);
+      });
+  }
+
+  return Promise.reject(new Error('Invalid API provider: ' + provider));
+}
+
+function pluckIds(list) {
+  return (list || []).map(function (m) { return m.id; }).filter(Boolean).sort();
+}
+
+// ── Connection test (custom endpoint) ────────────────────────────────
+function testConnection(settings, sendResponse) {
+  withStoredApiKey(settings, function (keyErr, resolved) {
+    if (keyErr) {
+      sendResponse({ success: false, error: keyErr });
+      return;
+    }
+    fetchModelList({ apiProvider: 'custom', apiKey: resolved.apiKey, customBaseUrl: resolved.customBaseUrl })
+      .then(function (models) {
+        sendResponse({ success: true, data: { modelCount: models.length } });
+      })
+      .catch(function (err) {
+        sendResponse({ success: false, error: err.message || String(err) });
+      });
+  });
+}
+
+// ── Prompt templates ─────────────────────────────────────────────────
+// Templates live in storage under `promptTemplates`. The built-in template
+// is always present; users may edit it and restore the original later.
+var BUILTIN_TEMPLATE_ID = 'builtin-default';
+
+function builtinTemplate() {
+  return { id: BUILTIN_TEMPLATE_ID, name: 'Code handoff (default)', body: SUMMARIZATION_PROMPT, builtIn: true };
+}
+
+function withBuiltinTemplate(templates) {
+  templates = (templates || []).slice();
+  for (var i = 0; i < templates.length; i++) {
+    if (templates[i].id === BUILTIN_TEMPLATE_ID) return templates;
+  }
+  templates.unshift(builtinTemplate());
+  return templates;
+}
+
+function resolveTemplate(templates, id) {
+  for (var i = 0; i < templates.length; i++) {
+    if (templates[i].id === id) return templates[i];
+  }
+  return resolveTemplate(templates, BUILTIN_TEMPLATE_ID);
+}
+
+// Replaces {platform}, {url}, {title} and {date}; unknown placeholders are left as-is
+function fillTemplate(body, values) {
+  return String(body || '').replace(/\{(\w+)\}/g, function (match, key) {
+    return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match;
+  });
+}
+
+function getTemplates(sendResponse) {
+  chrome.storage.local.get(['promptTemplates', 'settings'], function (result) {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    var templates = withBuiltinTemplate(result.promptTemplates);
+    var settings = result.settings || {};
+    sendResponse({
+      success: true,
+      data: {
+        templates: templates,
+        activeTemplateId: resolveTemplate(templates, settings.activeTemplateId).id
+      }
+    });
+  });
+}
+
+function saveTemplate(template, sendResponse) {
+  if (!template || !String(template.name || '').trim() || !String(template.body || '').trim()) {
+    sendResponse({ success: false, error: 'A template needs a name and a prompt' });
+    return;
+  }
+
+  updateTemplates(function (templates) {
+    var record = {
+      id: template.id || generateId(),
+      name: String(template.name).trim(),
+      body: String(template.body),
+      builtIn: template.id === BUILTIN_TEMPLATE_ID
+    };
+    for (var i = 0; i < templates.length; i++) {
+      if (templates[i].id === record.id) {
+        templates[i] = record;
+        return { templates: templates, data: record };
+      }
+    }
+    templates.push(record);
+    return { templates: templates, data: record };
+  }, sendResponse);
+}
+
+function deleteTemplate(id, sendResponse) {
+  if (id === BUILTIN_TEMPLATE_ID) {
+    sendResponse({ success: false, error: 'The default template cannot be deleted' });
+    return;
+  }
+
+  updateTemplates(function (templates) {
+    return {
+      templates: templates.filter(function (t) { return t.id !== id; })
+    };
+  }, sendResponse);
+}
+
+function restoreDefaultTemplate(sendResponse) {
+  updateTemplates(function (templates) {
+    for (var i = 0; i < templates.length; i++) {
+      if (templates[i].id === BUILTIN_TEMPLATE_ID) templates[i] = builtinTemplate();
+    }
+    return { templates: templates, data: builtinTemplate() };
+  }, sendResponse);
+}
+
+function setActiveTemplate(id, sendResponse) {
+  chrome.storage.local.get(['settings'], function (result) {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    var settings = result.settings || {};
+    settings.activeTemplateId = id;
+    saveSettings(settings, sendResponse);
+  });
+}
+
+// Read-modify-write helper; `mutate` returns { templates, data? }
+function updateTemplates(mutate, sendResponse) {
+  chrome.storage.local.get(['promptTemplates'], function (result) {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    var outcome = mutate(withBuiltinTemplate(result.promptTemplates));
+    chrome.storage.local.set({ promptTemplates: outcome.templates }, function () {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      } else {
+        sendResponse({ success: true, data: outcome.data });
+      }
+    });
+  });
+}
+
+// ── Saves store (IndexedDB) ──────────────────────────────────────────
+// Saves live in the `saves` object store, keyed by id and indexed on
+// timestamp, platform, url and projectId; projects live in `projects`.
+// Every helper takes a Node-style callback (err, result) where err is a
+// message string. With encryption on, helpers seal records on the way in
+// and open them on the way out (see "Vault").
+var DB_NAME = 'sessionlink';
+var DB_VERSION = 2; // 2 = `projects` store and saves.projectId index
+var STORAGE_VERSION = 2; // 1 = `saves` array in chrome.storage.local
+
+// Unpinned saves beyond maxCount, or older than maxAgeDays (0 = never), are pruned
+var DEFAULT_RETENTION = { maxCount: 500, maxAgeDays: 0 };
+
+var dbHandle = null;
+
+function openDb(callback) {
+  if (dbHandle) {
+    callback(null, dbHandle);
+    return;
+  }
+
+  var request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = function () {
+    var db = request.result;
+    var saves = db.objectStoreNames.contains('saves')
+      ? request.transaction.objectStore('saves')
+      : db.createObjectStore('saves', { keyPath: 'id' });
+    ['timestamp', 'platform', 'url', 'projectId'].forEach(function (field) {
+      if (!saves.indexNames.contains(field)) saves.createIndex(field, field);
+    });
+    if (!db.objectStoreNames.contains('projects')) {
+      db.createObjectStore('projects', { keyPath: 'id' });
+    }
+  };
+  request.onsuccess = function () {
+    dbHandle = request.result;
+    dbHandle.onversionchange = function () {
+      dbHandle.close();
+      dbHandle = null;
+    };
+    callback(null, dbHandle);
+  };
+  request.onerror = function () {
+    callback('Could not open database: ' + (request.error && request.error.message));
+  };
+}
+
+// Runs `work(store)` in a transaction and calls back once it commits
+function withStore(storeName, mode, work, callback) {
+  openDb(function (err, db) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    var tx = db.transaction(storeName, mode);
+    var result;
+    try {
+      result = work(tx.objectStore(storeName));
+    } catch (e) {
+      callback(e.message);
+      return;
+    }
+    tx.oncomplete = function () {
+      if (storeName === 'saves' && mode === 'readwrite') refreshContextMenus();
+      callback(null, result && 'value' in result ? result.value : undefined);
+    };
+    tx.onerror = function () {
+      callback((tx.error && tx.error.message) || 'Database transaction failed');
+    };
+    tx.onabort = tx.onerror;
+  });
+}
+
+function storeGetAllSaves(callback) {
+  storeGetRecentSaves(0, callback);
+}
+
+// The newest `limit` saves (0 = all), opened
+function storeGetRecentSaves(limit, callback) {
+  storeGetSaveRecords(limit, function (err, records) {
+    if (err) {
+      callback(err);
+    } else {
+      openStoredRecords(records, callback);
+    }
+  });
+}
+
+// Stored records as they are, still sealed when the vault is on; only
+// the cursor's first `limit` records (0 = all) are read
+function storeGetSaveRecords(limit, callback) {
+  withStore('saves', 'readonly', function (store) {
+    var out = { value: [] };
+    // Newest first; ISO timestamps sort lexicographically
+    store.index('timestamp').openCursor(null, 'prev').onsuccess = function (event) {
+      var cursor = event.target.result;
+      if (!cursor) return;
+      out.value.push(cursor.value);
+      if (!limit || out.value.length < limit) cursor.continue();
+    };
+    return out;
+  }, callback);
+}
+
+function storeGetSave(id, callback) {
+  withStore('saves', 'readonly', function (store) {
+    var out = { value: null };
+    store.get(id).onsuccess = function (event) {
+      out.value = event.target.result || null;
+    };
+    return out;
+  }, function (err, save) {
+    if (err) {
+      callback(err);
+    } else {
+      openStoredRecord(save, callback);
+    }
+  });
+}
+
+function storePutSaves(saves, callback) {
+  sealStoredRecords('saves', saves, callback);
+}
+
+function storeDeleteSaves(ids, callback) {
+  withStore('saves', 'readwrite', function (store) {
+    ids.forEach(function (id) { store.delete(id); });
+  }, callback);
+}
+
+// Read-modify-write inside one transaction; `mutate` edits the record in place
+function storeUpdateSave(id, mutate, callback) {
+  getVaultKey(function (vaultErr, key) {
+    if (vaultErr) {
+      callback(vaultErr);
+    } else if (key) {
+      updateSealedSave(id, mutate, callback);
+    } else {
+      updatePlainSave(id, mutate, callback);
+    }
+  });
+}
+
+function updatePlainSave(id, mutate, callback) {
+  withStore('saves', 'readwrite', function (store) {
+    var out = { value: null };
+    store.get(id).onsuccess = function (event) {
+      var save = event.target.result;
+      if (!save) return;
+      mutate(save);
+      store.put(save);
+      out.value = save;
+    };
+    return out;
+  }, function (err, save) {
+    if (!err && !save) err = 'Saved state not found';
+    callback(err, save);
+  });
+}
+
+// Encryption is async and would let the transaction commit early, so the
+// sealed path reads and writes in two steps
+function updateSealedSave(id, mutate, callback) {
+  storeGetSave(id, function (err, save) {
+    if (err || !save) {
+      callback(err || 'Saved state not found');
+      return;
+    }
+    mutate(save);
+    storePutSaves([save], function (putErr) {
+      callback(putErr, putErr ? undefined : save);
+    });
+  });
+}
+
+function storeCountSaves(callback) {
+  withStore('saves', 'readonly', function (store) {
+    var out = { value: 0 };
+    store.count().onsuccess = function (event) {
+      out.value = event.target.result;
+    };
+    return out;
+  }, callback);
+}
+
+function storeGetAllProjects(callback) {
+  withStore('projects', 'readonly', function (store) {
+    var out = { value: [] };
+    store.getAll().onsuccess = function (event) {
+      out.value = event.target.result || [];
+    };
+    return out;
+  }, function (err, projects) {
+    if (err) {
+      callback(err);
+    } else {
+      openStoredRecords(projects, callback);
+    }
+  });
+}
+
+function storeGetProject(id, callback) {
+  withStore('projects', 'readonly', function (store) {
+    var out = { value: null };
+    store.get(id).onsuccess = function (event) {
+      out.value = event.target.result || null;
+    };
+    return out;
+  }, function (err, project) {
+    if (err) {
+      callback(err);
+    } else {
+      openStoredRecord(project, callback);
+    }
+  });
+}
+
+function storePutProject(project, callback) {
+  storePutProjects([project], callback);
+}
+
+function storePutProjects(projects, callback) {
+  sealStoredRecords('projects', projects, callback);
+}
+
+function storeDeleteProject(id, callback) {
+  withStore('projects', 'readwrite', function (store) {
+    store.delete(id);
+  }, callback);
+}
+
+function putRecords(storeName, records, callback) {
+  withStore(storeName, 'readwrite', function (store) {
+    records.forEach(function (record) { store.put(record); });
+  }, callback);
+}
+
+function sealStoredRecords(storeName, records, callback) {
+  getVaultKey(function (err, key) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    sealRecords(storeName, records, key, function (sealErr, sealed) {
+      if (sealErr) {
+        callback(sealErr);
+      } else {
+        putRecords(storeName, sealed, callback);
+      }
+    });
+  });
+}
+
+function openStoredRecords(records, callback) {
+  getVaultKey(function (err, key) {
+    if (err) {
+      callback(err);
+    } else {
+      openRecords(records, key, callback);
+    }
+  });
+}
+
+function openStoredRecord(record, callback) {
+  openStoredRecords([record], function (err, opened) {
+    callback(err, err ? undefined : opened[0]);
+  });
+}
+
+// ── Retention ────────────────────────────────────────────────────────
+function getRetention(settings) {
+  var retention = settings.retention || {};
+  return {
+    maxCount: typeof retention.maxCount === 'number' ? retention.maxCount : DEFAULT_RETENTION.maxCount,
+    maxAgeDays: typeof retention.maxAgeDays === 'number' ? retention.maxAgeDays : DEFAULT_RETENTION.maxAgeDays
+  };
+}
+
+function applyRetention(settings, callback) {
+  var retention = getRetention(settings);
+  // id, timestamp and pinned are never sealed, so nothing is decrypted
+  storeGetSaveRecords(0, function (err, saves) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    var cutoff = retention.maxAgeDays > 0
+      ? new Date(Date.now() - retention.maxAgeDays * 86400000).toISOString()
+      : null;
+    var kept = 0;
+    var evict = [];
+
+    // saves are newest first, so the first maxCount unpinned ones survive
+    saves.forEach(function (save) {
+      if (save.pinned) return;
+      if ((cutoff && save.timestamp < cutoff) || (retention.maxCount > 0 && kept >= retention.maxCount)) {
+        evict.push(save.id);
+      } else {
+        kept++;
+      }
+    });
+
+    if (evict.length === 0) {
+      callback(null);
+      return;
+    }
+    console.log('SessionLink: retention pruned', evict.length, 'saves');
+    storeDeleteSaves(evict, callback);
+  });
+}
+
+// ── Save handlers ────────────────────────────────────────────────────
+function saveSummary(saveData, callback) {
+  storePutSaves([saveData], function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    chrome.storage.local.get(['settings'], function (result) {
+      applyRetention((result && result.settings) || {}, function (pruneErr) {
+        if (pruneErr) console.warn('SessionLink: retention failed', pruneErr);
+        callback(null);
+      });
+    });
+  });
+}
+
+// With a projectId, only that project's saves are considered
+function getLastSave(projectId, sendResponse) {
+  storeGetAllSaves(function (err, saves) {
+    if (!err && projectId) {
+      saves = saves.filter(function (save) { return save.projectId === projectId; });
+    }
+    if (err) {
+      sendResponse({ success: false, error: err });
+    } else if (saves.length > 0) {
+      sendResponse({ success: true, data: saves[0] });
+    } else {
+      sendResponse({ success: false, error: 'No saved states found' });
+    }
+  });
+}
+
+// Pinned saves first, then newest first
+function getAllSaves(sendResponse) {
+  storeGetAllSaves(function (err, saves) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
+    }
+    var pinned = saves.filter(function (save) { return save.pinned; });
+    var rest = saves.filter(function (save) { return !save.pinned; });
+    sendResponse({ success: true, data: pinned.concat(rest).map(normalizeSave) });
+  });
+}
+
+function getSave(id, sendResponse) {
+  storeGetSave(id, function (err, save) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+    } else if (save) {
+      sendResponse({ success: true, data: normalizeSave(save) });
+    } else {
+      sendResponse({ success: false, error: 'Saved state not found' });
+    }
+  });
+}
+
+function updateStoredSave(id, mutate, sendResponse) {
+  storeUpdateSave(id, mutate, function (err, save) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+    } else {
+      sendResponse({ success: true, data: save });
+    }
+  });
+}
+
+// ── Titles, tags, notes and pinning ──────────────────────────────────
+// Only these fields may be edited from the popup or content script.
+function updateSave(id, changes, sendResponse) {
+  storeUpdateSave(id, function (save) {
+    if (typeof changes.title === 'string') {
+      var title = changes.title.trim().substring(0, 200);
+      save.title = title || deriveTitle(save.summary);
+      save.titleEdited = !!title;
+    }
+    if (Array.isArray(changes.tags)) {
+      save.tags = normalizeTags(changes.tags);
+    }
+    if (typeof changes.note === 'string') {
+      save.note = changes.note.substring(0, 5000);
+    }
+    if (typeof changes.pinned === 'boolean') {
+      save.pinned = changes.pinned;
+    }
+  }, function (err, save) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+    } else {
+      sendResponse({ success: true, data: normalizeSave(save) });
+    }
+  });
+}
+
+function normalizeTags(tags) {
+  var seen = {};
+  var out = [];
+  tags.forEach(function (tag) {
+    var clean = String(tag).trim().replace(/^#/, '').substring(0, 40);
+    var key = clean.toLowerCase();
+    if (clean && !seen[key]) {
+      seen[key] = true;
+      out.push(clean);
+    }
+  });
+  return out;
+}
+
+// Pull the title from the handoff's "Project Goal" / "Main Topic" line,
+// falling back to the first meaningful line of the summary.
+function deriveTitle(summary) {
+  var text = String(summary || '');
+  var match = text.match(/(?:Project Goal|Main Topic)\W*?:\**\s*(.+)/i);
+  var line = match ? match[1] : '';
+
+  if (!line) {
+    var lines = text.split('\n');
+    for (var i = 0; i < lines.length; i++) {
+      var candidate = lines[i].replace(/SYSTEM HANDOFF:?/i, '').replace(/[#*_`>]/g, '').trim();
+      if (candidate.length > 3) {
+        line = candidate;
+        break;
+      }
+    }
+  }
+
+  line = line.replace(/[*_`]/g, '').trim();
+  return line.length > 80 ? line.substring(0, 77).trim() + '...' : (line || 'Untitled save');
+}
+
+// Fill in fields that saves from older versions don't have
+function normalizeSave(save) {
+  if (!save.title) save.title = deriveTitle(save.summary);
+  if (!save.tags) save.tags = [];
+  if (typeof save.note !== 'string') save.note = '';
+  save.pinned = !!save.pinned;
+  save.projectId = save.projectId || null;
+  if (!save.versions) save.versions = [];
+  return save;
+}
+
+function hasSavedState(sendResponse) {
+  storeCountSaves(function (err, count) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+    } else {
+      sendResponse({ success: true, hasSaved: count > 0 });
+    }
+  });
+}
+
+function deleteSave(id, sendResponse) {
+  storeDeleteSaves([id], function (err) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+    } else {
+      sendResponse({ success: true });
+    }
+  });
+}
+
+// ── Export and import ────────────────────────────────────────────────
+// A bundle is plain JSON: { format, version, exportedAt, extensionVersion,
+// saves, projects }. Projects ride along when an exported save belongs to
+// one. Original values behind redaction placeholders are never exported.
+var EXPORT_FORMAT = 'sessionlink-export';
+var EXPORT_VERSION = 1;
+
+// `ids` limits the export to those saves; omit it for everything
+function exportSaves(ids, sendResponse) {
+  storeGetAllSaves(function (err, saves) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
+    }
+    if (Array.isArray(ids)) {
+      saves = saves.filter(function (save) { return ids.indexOf(save.id) !== -1; });
+    }
+    chrome.storage.local.get(['settings'], function (result) {
+      exportBundle(saves, (result && result.settings) || {}, sendResponse);
+    });
+  });
+}
+
+function exportBundle(saves, settings, sendResponse) {
+  storeGetAllProjects(function (projectsErr, projects) {
+    if (projectsErr) {
+      sendResponse({ success: false, error: projectsErr });
+      return;
+    }
+    var used = {};
+    saves.forEach(function (save) {
+      if (save.projectId) used[save.projectId] = true;
+    });
+    sendResponse({
+      success: true,
+      data: {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        saves: saves.map(function (save) {
+          return redactForExport(normalizeSave(Object.assign({}, save)), settings);
+        }),
+        projects: projects
+          .filter(function (project) { return used[project.id]; })
+          .map(function (project) {
+            // The memory cache is rebuilt on demand
+            return {
+              id: project.id,
+              name: project.name,
+              urlPatterns: project.urlPatterns || [],
+              conversationIds: project.conversationIds || [],
+              createdAt: project.createdAt,
+              updatedAt: project.updatedAt
+            };
+          })
+      }
+    });
+  });
+}
+
+// Transcripts, and the text of a transcript-only save, hold the
+// conversation as captured, before redaction. They go through the
+// redactor here, reusing the save's placeholders when they were kept, so
+// redacted values don't end up in export files.
+function redactForExport(save, settings) {
+  var redactor = createRedactor(settings, save.redactionMap ? save : null);
+  function redactText(text) {
+    return redactor.redactMessages([{ role: '', content: text }])[0].content;
+  }
+
+  if (Array.isArray(save.transcript)) save.transcript = redactor.redactMessages(save.transcript);
+  if (save.kind === 'transcript') {
+    save.summary = redactText(save.summary);
+    save.preview = redactText(save.preview);
+    save.title = redactText(save.title);
+  }
+  save.versions = save.versions.map(function (version) {
+    return Object.assign({}, version, { summary: redactText(version.summary) });
+  });
+  delete save.redactionMap;
+  return save;
+}
+
+// Entries are matched by id; the copy with the newer timestamp wins
+function importSaves(bundle, sendResponse) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT) {
+    sendResponse({ success: false, error: 'This file is not a SessionLink export' });
+    return;
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > EXPORT_VERSION) {
+    sendResponse({ success: false, error: 'This export is from a newer version of SessionLink' });
+    return;
+  }
+  if (!Array.isArray(bundle.saves)) {
+    sendResponse({ success: false, error: 'The export has no saves list' });
+    return;
+  }
+
+  var incoming = bundle.saves.map(cleanImportedSave);
+  var invalid = incoming.filter(function (save) { return !save; }).length;
+  var incomingProjects = (Array.isArray(bundle.projects) ? bundle.projects : [])
+    .map(cleanImportedProject)
+    .filter(Boolean);
+
+  storeGetAllSaves(function (err, saves) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
+    }
+    storeGetAllProjects(function (projectsErr, projects) {
+      if (projectsErr) {
+        sendResponse({ success: false, error: projectsErr });
+        return;
+      }
+
+      var newerProjects = pickNewer(projects, incomingProjects, 'updatedAt');
+      var knownProjects = {};
+      projects.concat(newerProjects.records).forEach(function (project) {
+        knownProjects[project.id] = true;
+      });
+
+      var existingById = {};
+      saves.forEach(function (save) { existingById[save.id] = save; });
+      var newerSaves = pickNewer(saves, incoming.filter(Boolean), 'timestamp');
+      newerSaves.records.forEach(function (save) {
+        if (save.projectId && !knownProjects[save.projectId]) save.projectId = null;
+        // Keep locally stored originals for placeholders the summary still uses
+        var existing = existingById[save.id];
+        if (existing && existing.redactionMap) save.redactionMap = existing.redactionMap;
+      });
+
+      storePutProjects(newerProjects.records, function (putProjectsErr) {
+        if (putProjectsErr) {
+          sendResponse({ success: false, error: putProjectsErr });
+          return;
+        }
+        storePutSaves(newerSaves.records, function (putErr) {
+          if (putErr) {
+            sendResponse({ success: false, error: putErr });
+            return;
+          }
+          sendResponse({
+            success: true,
+            data: {
+              added: newerSaves.added,
+              updated: newerSaves.updated,
+              unchanged: incoming.length - invalid - newerSaves.added - newerSaves.updated,
+              invalid: invalid,
+              projects: newerProjects.records.length
+            }
+          });
+        });
+      });
+    });
+  });
+}
+
+// Incoming records that are new, or newer than the stored copy by `field`
+function pickNewer(existing, incoming, field) {
+  var byId = {};
+  existing.forEach(function (record) { byId[record.id] = record; });
+  var picked = {};
+  incoming.forEach(function (record) {
+    var current = picked[record.id] || byId[record.id];
+    if (!current || (record[field] || '') > (current[field] || '')) picked[record.id] = record;
+  });
+  var records = Object.keys(picked).map(function (id) { return picked[id]; });
+  var added = records.filter(function (record) { return !byId[record.id]; }).length;
+  return { records: records, added: added, updated: records.length - added };
+}
+
+// Copies only known fields with the right types; null if the entry is unusable
+function cleanImportedSave(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.id !== 'string' || !raw.id || typeof raw.summary !== 'string' || !raw.summary) return null;
+  if (typeof raw.timestamp !== 'string' || isNaN(Date.parse(raw.timestamp))) return null;
+
+  var title = typeof raw.title === 'string' ? raw.title.trim().substring(0, 200) : '';
+  var save = {
+    id: raw.id.substring(0, 100),
+    summary: raw.summary,
+    platform: typeof raw.platform === 'string' ? raw.platform : 'Unknown',
+    url: typeof raw.url === 'string' ? raw.url : '',
+    timestamp: new Date(raw.timestamp).toISOString(),
+    preview: raw.summary.substring(0, 120),
+    title: title || deriveTitle(raw.summary),
+    titleEdited: !!title && raw.titleEdited === true,
+    tags: normalizeTags(Array.isArray(raw.tags) ? raw.tags.filter(isString) : []),
+    note: typeof raw.note === 'string' ? raw.note.substring(0, 5000) : '',
+    pinned: raw.pinned === true,
+    projectId: typeof raw.projectId === 'string' && raw.projectId ? raw.projectId : null,
+    versions: (Array.isArray(raw.versions) ? raw.versions : [])
+      .filter(function (version) {
+        return version && isString(version.summary) && isString(version.timestamp);
+      })
+      .slice(0, MAX_VERSIONS)
+      .map(function (version) {
+        return {
+          summary: version.summary,
+          timestamp: version.timestamp,
+          templateName: isString(version.templateName) ? version.templateName : null
+        };
+      })
+  };
+  ['templateId', 'templateName', 'lastTurnHash', 'createdAt', 'updatedAt'].forEach(function (field) {
+    if (isString(raw[field])) save[field] = raw[field];
+  });
+  if (raw.kind === 'transcript') save.kind = 'transcript';
+  if (Array.isArray(raw.transcript)) {
+    save.transcript = raw.transcript
+      .filter(function (msg) { return msg && isString(msg.role) && isString(msg.content); })
+      .map(function (msg) { return { role: msg.role, content: msg.content }; });
+  }
+  if (Array.isArray(raw.redactions)) {
+    save.redactions = raw.redactions
+      .filter(function (entry) { return entry && isString(entry.type) && typeof entry.count === 'number'; })
+      .map(function (entry) { return { type: entry.type, count: entry.count }; });
+  }
+  return save;
+}
+
+function cleanImportedProject(raw) {
+  if (!raw || typeof raw !== 'object' || !isString(raw.id) || !raw.id) return null;
+  var name = isString(raw.name) ? raw.name.trim().substring(0, 100) : '';
+  if (!name) return null;
+  var strings = function (list) {
+    return (Array.isArray(list) ? list : []).filter(isString);
+  };
+  return {
+    id: raw.id.substring(0, 100),
+    name: name,
+    urlPatterns: strings(raw.urlPatterns),
+    conversationIds: strings(raw.conversationIds),
+    memory: '',
+    createdAt: isString(raw.createdAt) ? raw.createdAt : new Date().toISOString(),
+    updatedAt: isString(raw.updatedAt) ? raw.updatedAt : new Date().toISOString()
+  };
+}
+
+function isString(value) {
+  return typeof value === 'string';
+}
+
+// ── Projects ─────────────────────────────────────────────────────────
+// A project groups saves. New saves join a project automatically when the
+// page URL matches one of its patterns or its conversation ID is linked to
+// the project (which happens when a save from it is assigned by hand).
+var PROJECT_MEMORY_PROMPT =
+  'You are given several context-handoff snapshots from the same project, oldest first. ' +
+  'Merge them into one up-to-date \'Project Memory\' for another AI instance.\n\n' +
+  'RULES:\n' +
+  '- State each fact, decision and requirement once, even if several snapshots repeat it\n' +
+  '- When snapshots disagree, the most recent one wins\n' +
+  '- Keep decisions and context that are still in force; drop next steps that later snapshots completed\n' +
+  '- Do not add anything that is not in the snapshots\n\n' +
+  'STRUCTURE:\n' +
+  '1. **Project Goal:** (1 sentence)\n' +
+  '2. **Key Decisions:** (Tech stack, architecture, constraints)\n' +
+  '3. **History:** (What has been done so far, briefly)\n' +
+  '4. **Current Status:** (Where things stand now)\n' +
+  '5. **Next Steps:** (Open tasks, most important first)\n\n' +
+  'OUTPUT: A single, copy-pasteable prompt block starting with \'SYSTEM HANDOFF:\'.';
+
+// Chat URLs carry the conversation ID after /c/ (ChatGPT), /chat/ (Claude,
+// Le Chat, Poe), /app/ (Gemini), /search/ (Perplexity), /s/ (DeepSeek) or
+// /chats/ (Copilot)
+function conversationIdFromUrl(url) {
+  var match = String(url || '').match(/\/(?:c|chat|chats|app|search|s)\/([A-Za-z0-9_-]{6,})/);
+  return match ? match[1] : null;
+}
+
+// `*` matches anything; patterns without a scheme match either scheme
+function urlMatchesPattern(url, pattern) {
+  var target = /^[a-z]+:\/\//i.test(pattern) ? url : url.replace(/^[a-z]+:\/\//i, '');
+  var source = pattern.split('*').map(function (part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('.*');
+  return new RegExp('^' + source + '$', 'i').test(target);
+}
+
+function matchProject(projects, url) {
+  if (!url) return null;
+  var conversationId = conversationIdFromUrl(url);
+  var i;
+
+  // Conversation links are explicit, so they win over URL patterns
+  if (conversationId) {
+    for (i = 0; i < projects.length; i++) {
+      if ((projects[i].conversationIds || []).indexOf(conversationId) !== -1) return projects[i];
+    }
+  }
+  for (i = 0; i < projects.length; i++) {
+    var patterns = projects[i].urlPatterns || [];
+    for (var j = 0; j < patterns.length; j++) {
+      if (urlMatchesPattern(url, patterns[j])) return projects[i];
+    }
+  }
+  return null;
+}
+
+// Calls back with the matching project's id, or null. Lookup failures
+// never block a save.
+function findProjectForUrl(url, callback) {
+  storeGetAllProjects(function (err, projects) {
+    if (err) {
+      console.warn('SessionLink: project lookup failed', err);
+      callback(null);
+      return;
+    }
+    var project = matchProject(projects, url);
+    callback(project ? project.id : null);
+  });
+}
+
+// Projects sorted by name, with save counts. `url` (optional) reports
+// which project the current page belongs to as matchedId.
+function getProjects(url, sendResponse) {
+  storeGetAllProjects(function (err, projects) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
+    }
+    storeGetAllSaves(function (savesErr, saves) {
+      if (savesErr) {
+        sendResponse({ success: false, error: savesErr });
+        return;
+      }
+      var counts = {};
+      var lastSaved = {};
+      saves.forEach(function (save) {
+        if (!save.projectId) return;
+        counts[save.projectId] = (counts[save.projectId] || 0) + 1;
+        // saves are newest first
+        if (!lastSaved[save.projectId]) lastSaved[save.projectId] = save.timestamp;
+      });
+
+      var data = projects.map(function (project) {
+        return Object.assign({}, project, {
+          saveCount: counts[project.id] || 0,
+          lastSavedAt: lastSaved[project.id] || null
+        });
+      }).sort(function (a, b) {
+        return a.name.localeCompare(b.name);
+      });
+      var matched = matchProject(projects, url);
+      sendResponse({ success: true, data: data, matchedId: matched ? matched.id : null });
+    });
+  });
+}
+
+// Creates a project, or renames / re-patterns an existing one
+function saveProject(input, sendResponse) {
+  var name = String(input.name || '').trim().substring(0, 100);
+  if (!name) {
+    sendResponse({ success: false, error: 'Project name is required' });
+    return;
+  }
+  var patterns = (Array.isArray(input.urlPatterns) ? input.urlPatterns : [])
+    .map(function (pattern) { return String(pattern).trim(); })
+    .filter(Boolean);
+
+  var store = function (project) {
+    project.name = name;
+    project.urlPatterns = patterns;
+    project.updatedAt = new Date().toISOString();
+    storePutProject(project, function (err) {
+      if (err) {
+        sendResponse({ success: false, error: err });
+      } else {
+        sendResponse({ success: true, data: project });
+      }
+    });
+  };
+
+  if (!input.id) {
+    store({ id: generateId(), conversationIds: [], memory: '', createdAt: new Date().toISOString() });
+    return;
+  }
+  storeGetProject(input.id, function (err, project) {
+    if (err || !project) {
+      sendResponse({ success: false, error: err || 'Project not found' });
+      return;
+    }
+    store(project);
+  });
+}
+
+// Deleting a project keeps its saves, unassigned
+function deleteProject(id, sendResponse) {
+  storeDeleteProject(id, function (err) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
+    }
+    storeGetAllSaves(function (savesErr, saves) {
+      var orphans = (saves || []).filter(function (save) { return save.projectId === id; });
+      orphans.forEach(function (save) { save.projectId = null; });
+      storePutSaves(orphans, function (putErr) {
+        if (savesErr || putErr) {
+          sendResponse({ success: false, error: savesErr || putErr });
+        } else {
+          sendResponse({ success: true });
+        }
+      });
+    });
+  });
+}
+
+// Assigning by hand also links the save's conversation to the project, so
+// later saves from the same chat land there too
+function assignSave(id, projectId, sendResponse) {
+  var previousId = null;
+  storeUpdateSave(id, function (save) {
+    previousId = save.projectId || null;
+    save.projectId = projectId;
+  }, function (err, save) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
+    }
+    var conversationId = conversationIdFromUrl(save.url);
+    var done = function () {
+      sendResponse({ success: true, data: normalizeSave(save) });
+    };
+    if (!conversationId || previousId === projectId) {
+      done();
+      return;
+    }
+    relinkConversation(conversationId, previousId, projectId, done);
+  });
+}
+
+function relinkConversation(conversationId, fromId, toId, callback) {
+  storeGetAllProjects(function (err, projects) {
+    if (err) {
+      console.warn('SessionLink: could not link conversation', err);
+      callback();
+      return;
+    }
+    var changed = [];
+    projects.forEach(function (project) {
+      var ids = project.conversationIds || [];
+      var has = ids.indexOf(conversationId) !== -1;
+      if (project.id === toId && !has) {
+        project.conversationIds = ids.concat(conversationId);
+        changed.push(project);
+      } else if (project.id === fromId && has) {
+        project.conversationIds = ids.filter(function (cid) { return cid !== conversationId; });
+        changed.push(project);
+      }
+    });
+
+    var pending = changed.length;
+    if (pending === 0) callback();
+    changed.forEach(function (project) {
+      storePutProject(project, function (putErr) {
+        if (putErr) console.warn('SessionLink: could not link conversation', putErr);
+        if (--pending === 0) callback();
+      });
+    });
+  });
+}
+
+// ── Project memory ───────────────────────────────────────────────────
+// Rolls a project's saves up into one handoff. Identical summaries are
+// sent once, and the result is cached on the project until its saves change.
+function getProjectMemory(projectId, sender, sendResponse) {
+  storeGetProject(projectId, function (err, project) {
+    if (err || !project) {
+      sendResponse({ success: false, error: err || 'Project not found' });
+      return;
+    }
+    storeGetAllSaves(function (savesErr, saves) {
+      if (savesErr) {
+        sendResponse({ success: false, error: savesErr });
+        return;
+      }
+      // Transcript-only saves hold the raw, unredacted conversation in
+      // their summary, so they never reach the provider from here
+      var projectSaves = saves.filter(function (save) {
+        return save.projectId === projectId && save.kind !== 'transcript';
+      }).reverse(); // oldest first
+
+      if (projectSaves.length === 0) {
+        sendResponse({ success: false, error: 'This project has no summarized saves yet' });
+        return;
+      }
+
+      var sourceKey = projectSaves.map(function (save) {
+        return save.id + ':' + (save.updatedAt || save.timestamp);
+      }).join(',');
+      if (project.memory && project.memorySourceKey === sourceKey) {
+        sendResponse({ success: true, data: projectMemoryData(project, projectSaves.length, true) });
+        return;
+      }
+
+      buildProjectMemory(projectSaves, sender, function (buildErr, memory, redactionMap) {
+        if (buildErr) {
+          sendResponse({ success: false, error: buildErr });
+          return;
+        }
+        project.memory = memory;
+        if (Object.keys(redactionMap).length) {
+          project.memoryRedactionMap = redactionMap;
+        } else {
+          delete project.memoryRedactionMap;
+        }
+        project.memorySourceKey = sourceKey;
+        project.memoryUpdatedAt = new Date().toISOString();
+        storePutProject(project, function (putErr) {
+          if (putErr) console.warn('SessionLink: could not cache project memory', putErr);
+          sendResponse({ success: true, data: projectMemoryData(project, projectSaves.length, false) });
+        });
+      });
+    });
+  });
+}
+
+function projectMemoryData(project, saveCount, cached) {
+  return {
+    projectId: project.id,
+    name: project.name,
+    summary: project.memory,
+    saveCount: saveCount,
+    updatedAt: project.memoryUpdatedAt,
+    redactionMap: project.memoryRedactionMap,
+    cached: cached
+  };
+}
+
+// Calls back with (err, memory, redactionMap)
+function buildProjectMemory(saves, sender, callback) {
+  var renumbered = renumberRedactions(saves);
+  var seen = {};
+  var snapshots = [];
+  saves.forEach(function (save, i) {
+    var summary = renumbered.summaries[i];
+    var key = summary.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!key || seen[key]) return;
+    seen[key] = true;
+    snapshots.push({
+      role: 'snapshot',
+      content: '[' + new Date(save.timestamp).toLocaleString() + ', ' + (save.platform || 'Unknown') + ']\n' + summary
+    });
+  });
+
+  // Nothing to merge
+  if (snapshots.length === 1) {
+    callback(null, renumbered.summaries[saves.length - 1], renumbered.map);
+    return;
+  }
+
+  readSettings(['settings'], function (err, result) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    var tabId = sender && sender.tab ? sender.tab.id : null;
+    var systemPrompt = PROJECT_MEMORY_PROMPT + (renumbered.found ? REDACTION_NOTE : '');
+    summarizeMessages(result.settings || {}, snapshots, systemPrompt, function (progress) {
+      reportProgress(tabId, progress);
+    })
+      .then(function (memory) {
+        callback(null, memory, renumbered.map);
+      })
+      .catch(function (err) {
+        console.error('SessionLink: project memory error', err);
+        callback(err.message || String(err));
+      });
+  });
+}
+
+// Placeholders are numbered per save, so [REDACTED_EMAIL_1] can stand for
+// different values in two saves. Number them across the project instead;
+// saves that kept their redaction map share one placeholder per value.
+function renumberRedactions(saves) {
+  var counts = {};
+  var byValue = {};
+  var map = {};
+  var found = false;
+  var summaries = saves.map(function (save) {
+    var own = save.redactionMap || {};
+    var local = {};
+    return String(save.summary || '').replace(/\[REDACTED_([A-Z_]+)_\d+\]/g, function (placeholder, type) {
+      found = true;
+      if (local[placeholder]) return local[placeholder];
+      var known = Object.prototype.hasOwnProperty.call(own, placeholder);
+      var renamed = known ? byValue[own[placeholder]] : null;
+      if (!renamed) {
+        counts[type] = (counts[type] || 0) + 1;
+        renamed = '[REDACTED_' + type + '_' + counts[type] + ']';
+        if (known) {
+          byValue[own[placeholder]] = renamed;
+          map[renamed] = own[placeholder];
+        }
+      }
+      local[placeholder] = renamed;
+      return renamed;
+    });
+  });
+  return { summaries: summaries, map: map, found: found };
+}
+
+// ── One-time migration from chrome.storage.local ─────────────────────
+// v1 kept every save in a single `saves` array (capped at 20). Move them
+// into IndexedDB and bring old settings up to the current shape.
+function migrateStorage(callback) {
+  chrome.storage.local.get(['saves', 'settings', 'storageVersion'], function (result) {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+      return;
+    }
+    if ((result.storageVersion || 1) >= STORAGE_VERSION) {
+      callback(null);
+      return;
+    }
+
+    var legacySaves = (result.saves || []).filter(function (save) {
+      return save && save.id && save.timestamp;
+    });
+
+    storePutSaves(legacySaves, function (err) {
+      if (err) {
+        // Leave the legacy array in place so the next update can retry
+        callback(err);
+        return;
+      }
+
+      var settings = migrateSettings(result.settings || {});
+      chrome.storage.local.set({ settings: settings, storageVersion: STORAGE_VERSION }, function () {
+        if (chrome.runtime.lastError) {
+          callback(chrome.runtime.lastError.message);
+          return;
+        }
+        chrome.storage.local.remove('saves', function () {
+          console.log('SessionLink: migrated', legacySaves.length, 'saves to IndexedDB');
+          callback(null);
+        });
+      });
+    });
+  });
+}
+
+function migrateSettings(settings) {
+  if (!settings.retention) {
+    settings.retention = { maxCount: DEFAULT_RETENTION.maxCount, maxAgeDays: DEFAULT_RETENTION.maxAgeDays };
+  }
+  // The custom endpoint model used to be a top-level field
+  if (settings.customModel) {
+    settings.providerOptions = settings.providerOptions || {};
+    settings.providerOptions.custom = settings.providerOptions.custom || {};
+    if (!settings.providerOptions.custom.model) {
+      settings.providerOptions.custom.model = settings.customModel;
+    }
+    delete settings.customModel;
+  }
+  return settings;
+}
+
+// ── Settings ─────────────────────────────────────────────────────────
+function getSettings(sendResponse) {
+  chrome.storage.local.get(['settings'], function (result) {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    sendResponse({ success: true, data: result.settings || {} });
+  });
+}
+
+// Only what the content script needs — keeps API keys out of page contexts
+function getContentSettings(sendResponse) {
+  chrome.storage.local.get(['settings'], function (result) {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    var settings = result.settings || {};
+    sendResponse({
+      success: true,
+      data: {
+        captureMode: settings.captureMode || 'recent',
+        autoSave: getAutoSaveSettings(settings),
+        resumeTemplates: settings.resumeTemplates || {},
+        resumeModes: settings.resumeModes || {},
+        restoreRedactions: getRedactionSettings(settings).restoreOnResume
+      }
+    });
+  });
+}
+
+function saveSettings(settings, sendResponse) {
+  chrome.storage.local.set({ settings: settings }, function () {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+    } else {
+      sendResponse({ success: true });
+    }
+  });
+}
+
+// ── Platform adapters ────────────────────────────────────────────────
+// The built-in adapters ship in adapters.js. Imported definitions and
+// custom sites (checked by the popup, and again by the content script when
+// it resolves them) and the latest health report from each site are kept
+// in storage.
+function getAdapterDefinitions(sendResponse) {
+  chrome.storage.local.get(['importedAdapters', 'customSites'], function (result) {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    sendResponse({
+      success: true,
+      data: { imported: result.importedAdapters || {}, custom: result.customSites || {} }
+    });
+  });
+}
+
+function getAdapterStatus(sendResponse) {
+  chrome.storage.local.get(['importedAdapters', 'customSites', 'adapterHealth'], function (result) {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    sendResponse({
+      success: true,
+      data: {
+        imported: result.importedAdapters || {},
+        custom: result.customSites || {},
+        health: result.adapterHealth || {}
+      }
+    });
+  });
+}
+
+function importAdapters(adapters, sendResponse) {
+  if (!Array.isArray(adapters) || adapters.length === 0) {
+    sendResponse({ success: false, error: 'No adapters to import' });
+    return;
+  }
+  for (var i = 0; i < adapters.length; i++) {
+    if (!adapters[i] || typeof adapters[i].id !== 'string' || !adapters[i].selectors) {
+      sendResponse({ success: false, error: 'Invalid adapter definition' });
+      return;
+    }
+  }
+
+  chrome.storage.local.get(['importedAdapters', 'adapterHealth'], function (result) {
+    var imported = result.importedAdapters || {};
+    var health = result.adapterHealth || {};
+    adapters.forEach(function (adapter) {
+      imported[adapter.id] = adapter;
+      // The old report describes the old selectors
+      delete health[adapter.id];
+    });
+    chrome.storage.local.set({ importedAdapters: imported, adapterHealth: health }, function () {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      } else {
+        sendResponse({ success: true, data: { imported: adapters.length } });
+      }
+    });
+  });
+}
+
+function removeImportedAdapter(id, sendResponse) {
+  chrome.storage.local.get(['importedAdapters', 'adapterHealth'], function (result) {
+    var imported = result.importedAdapters || {};
+    var health = result.adapterHealth || {};
+    if (!imported[id]) {
+      sendResponse({ success: false, error: 'Adapter not found' });
+      return;
+    }
+    delete imported[id];
+    delete health[id];
+    chrome.storage.local.set({ importedAdapters: imported, adapterHealth: health }, function () {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      } else {
+        sendResponse({ success: true });
+      }
+    });
+  });
+}
+
+function reportAdapterHealth(report, sendResponse) {
+  if (!report || typeof report.adapterId !== 'string' || !report.fields) {
+    sendResponse({ success: false, error: 'Invalid health report' });
+    return;
+  }
+  chrome.storage.local.get(['adapterHealth'], function (result) {
+    var health = result.adapterHealth || {};
+    health[report.adapterId] = report;
+    chrome.storage.local.set({ adapterHealth: health }, function () {
+      sendResponse({ success: true });
+    });
+  });
+}
+
+// ── Custom sites ─────────────────────────────────────────────────────
+// Chat sites the user adds in the popup. Each is an adapter plus the match
+// pattern its content script is registered for; the popup asks for the
+// host permission before saving. Registrations are rebuilt from storage
+// whenever a site changes and when the extension starts or updates.
+var CUSTOM_SCRIPT_PREFIX = 'sessionlink-custom-';
+var CONTENT_SCRIPT_FILES = ['scripts/utils.js', 'scripts/adapters.js', 'scripts/content.js'];
+var SITE_PATTERN = /^\*:\/\/(\*\.)?[a-z0-9.-]+\/\*$/;
+
+function saveCustomSite(site, sendResponse) {
+  if (!site || typeof site.id !== 'string' || site.id.indexOf('custom-') !== 0 || !site.selectors) {
+    sendResponse({ success: false, error: 'Invalid site definition' });
+    return;
+  }
+  if (!Array.isArray(site.matches) || site.matches.length === 0 || !site.matches.every(function (m) { return SITE_PATTERN.test(m); })) {
+    sendResponse({ success: false, error: 'Invalid site address' });
+    return;
+  }
+
+  chrome.storage.local.get(['customSites', 'adapterHealth'], function (result) {
+    var sites = result.customSites || {};
+    var health = result.adapterHealth || {};
+    sites[site.id] = site;
+    delete health[site.id];
+    chrome.storage.local.set({ customSites: sites, adapterHealth: health }, function () {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      chrome.storage.local.remove('customSiteDraft');
+      refreshContextMenus();
+      syncCustomSiteScripts(function (err) {
+        if (err) {
+          sendResponse({ success: false, error: 'Saved, but the content script could not be registered: ' + err });
+        } else {
+          sendResponse({ success: true });
+        }
+      });
+    });
+  });
+}
+
+function removeCustomSite(id, sendResponse) {
+  chrome.storage.local.get(['customSites', 'adapterHealth'], function (result) {
+    var sites = result.customSites || {};
+    var health = result.adapterHealth || {};
+    if (!sites[id]) {
+      sendResponse({ success: false, error: 'Site not found' });
+      return;
+    }
+    delete sites[id];
+    delete health[id];
+    chrome.storage.local.set({ customSites: sites, adapterHealth: health }, function () {
+      refreshContextMenus();
+      syncCustomSiteScripts(function (err) {
+        if (err) {
+          sendResponse({ success: false, error: err });
+        } else {
+          sendResponse({ success: true });
+        }
+      });
+    });
+  });
+}
+
+// Unregisters all custom-site scripts, then registers one per stored site
+// that still has its host permission
+function syncCustomSiteScripts(callback) {
+  callback = callback || function (err) {
+    if (err) console.error('SessionLink: custom site registration failed', err);
+  };
+
+  chrome.storage.local.get(['customSites'], function (result) {
+    var sites = result.customSites || {};
+    chrome.scripting.getRegisteredContentScripts(function (registered) {
+      var stale = (registered || []).map(function (script) { return script.id; }).filter(function (id) {
+        return id.indexOf(CUSTOM_SCRIPT_PREFIX) === 0;
+      });
+      unregisterScripts(stale, function () {
+        var ids = Object.keys(sites);
+        var scripts = [];
+        var pending = ids.length;
+        if (pending === 0) {
+          callback(null);
+          return;
+        }
+        ids.forEach(function (id) {
+          chrome.permissions.contains({ origins: sites[id].matches }, function (granted) {
+            if (granted) {
+              scripts.push({
+                id: CUSTOM_SCRIPT_PREFIX + id,
+                matches: sites[id].matches,
+                js: CONTENT_SCRIPT_FILES,
+                runAt: 'document_idle',
+                persistAcrossSessions: true
+              });
+            }
+            if (--pending > 0) return;
+            if (scripts.length === 0) {
+              callback(null);
+              return;
+            }
+            chrome.scripting.registerContentScripts(scripts, function () {
+              callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+function unregisterScripts(ids, callback) {
+  if (ids.length === 0) {
+    callback();
+    return;
+  }
+  chrome.scripting.unregisterContentScripts({ ids: ids }, function () {
+    // Nothing to do if they are already gone
+    void chrome.runtime.lastError;
+    callback();
+  });
+}
+
+// Selectors picked on a page by picker.js, waiting for the popup
+function saveSiteDraft(draft, sendResponse) {
+  if (!draft || typeof draft.host !== 'string' || !draft.selectors) {
+    sendResponse({ success: false, error: 'Invalid draft' });
+    return;
+  }
+  chrome.storage.local.set({ customSiteDraft: draft }, function () {
+    sendResponse({ success: !chrome.runtime.lastError });
+  });
+}
+
+function getSiteDraft(sendResponse) {
+  chrome.storage.local.get(['customSiteDraft'], function (result) {
+    sendResponse({ success: true, data: result.customSiteDraft || null });
+  });
+}
+
+// ── Keyboard shortcuts and context menus ─────────────────────────────
+// Both are forwarded to the content script in the active tab as a
+// `runCommand` message, so they do exactly what the floating buttons do.
+// Keys are declared under `commands` in the manifest and can be rebound in
+// the browser's shortcut settings. The "Resume with…" submenu lists recent
+// saves and is rebuilt whenever the saves store or the custom sites change.
+var MENU_SAVE = 'sessionlink-save';
+var MENU_RESUME = 'sessionlink-resume';
+var MENU_RESUME_SAVE = 'sessionlink-resume-save:';
+var MENU_ALL_SAVES = 'sessionlink-all-saves';
+var MENU_RECENT_COUNT = 8;
+var MENU_TITLE_LENGTH = 60;
+
+var menuRefreshTimer = null;
+
+function runCommandInTab(tab, command, extra) {
+  if (!tab || tab.id === undefined || tab.id < 0) return;
+  chrome.tabs.sendMessage(tab.id, Object.assign({ action: 'runCommand', command: command }, extra), function () {
+    // No content script on this page: nothing to save or resume into
+    void chrome.runtime.lastError;
+  });
+}
+
+// Several writes in a row (imports, retention) refresh the menu once
+function refreshContextMenus() {
+  clearTimeout(menuRefreshTimer);
+  menuRefreshTimer = setTimeout(buildContextMenus, 500);
+}
+
+// Menus only show on chat pages: the manifest's sites plus custom sites
+function buildContextMenus() {
+  var builtin = [];
+  (chrome.runtime.getManifest().content_scripts || []).forEach(function (script) {
+    builtin = builtin.concat(script.matches);
+  });
+
+  chrome.storage.local.get(['customSites'], function (result) {
+    var sites = result.customSites || {};
+    var patterns = Object.keys(sites).reduce(function (all, id) {
+      return all.concat(sites[id].matches);
+    }, builtin);
+
+    readMenuSaves(function (err, saves) {
+      chrome.contextMenus.removeAll(function () {
+        createMenuItem({ id: MENU_SAVE, title: 'Save this conversation', contexts: ['page', 'selection'], documentUrlPatterns: patterns });
+        createMenuItem({ id: MENU_RESUME, title: 'Resume with…', contexts: ['page', 'selection', 'editable'], documentUrlPatterns: patterns });
+
+        if (err) {
+          createMenuItem({ id: MENU_RESUME + '-error', parentId: MENU_RESUME, title: err === VAULT_LOCKED ? 'Unlock SessionLink to list saves' : 'Saves unavailable', enabled: false });
+        } else if (saves.length === 0) {
+          createMenuItem({ id: MENU_RESUME + '-empty', parentId: MENU_RESUME, title: 'No saves yet', enabled: false });
+        } else {
+          saves.map(normalizeSave).forEach(function (save) {
+            createMenuItem({ id: MENU_RESUME_SAVE + save.id, parentId: MENU_RESUME, title: menuTitle(save) });
+          });
+        }
+        createMenuItem({ id: MENU_RESUME + '-separator', parentId: MENU_RESUME, type: 'separator' });
+        createMenuItem({ id: MENU_ALL_SAVES, parentId: MENU_RESUME, title: 'Choose from all saves…' });
+      });
+    });
+  });
+}
+
+// Checks the vault's session key itself rather than through getVaultKey,
+// which locks (and so would refresh the menus again) when it is missing.
+// Runs after every write to the saves store, so only the saves listed are
+// read and decrypted.
+function readMenuSaves(callback) {
+  chrome.storage.local.get(['settings'], function (result) {
+    if (!(result.settings && result.settings.vault)) {
+      storeGetRecentSaves(MENU_RECENT_COUNT, callback);
+      return;
+    }
+    chrome.storage.session.get(['vaultKey', 'vaultExpiresAt'], function (session) {
+      if (hasLiveVaultKey(session)) {
+        storeGetRecentSaves(MENU_RECENT_COUNT, callback);
+      } else {
+        callback(VAULT_LOCKED);
+      }
+    });
+  });
+}
+
+function createMenuItem(properties) {
+  chrome.contextMenus.create(properties, function () {
+    if (chrome.runtime.lastError) {
+      console.warn('SessionLink: context menu', properties.id, chrome.runtime.lastError.message);
+    }
+  });
+}
+
+// "Title — Platform", with long titles shortened
+function menuTitle(save) {
+  var title = save.title || 'Untitled save';
+  if (title.length > MENU_TITLE_LENGTH) title = title.slice(0, MENU_TITLE_LENGTH - 1) + '…';
+  return title + (save.platform ? ' — ' + save.platform : '');
+}
+
+chrome.commands.onCommand.addListener(function (command, tab) {
+  if (tab) {
+    runCommandInTab(tab, command);
+    return;
+  }
+  // Firefox and older Chrome don't pass the tab
+  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+    runCommandInTab(tabs && tabs[0], command);
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(function (info, tab) {
+  var id = String(info.menuItemId);
+  if (id === MENU_SAVE) {
+    runCommandInTab(tab, 'save-state');
+  } else if (id === MENU_ALL_SAVES) {
+    runCommandInTab(tab, 'open-picker');
+  } else if (id.indexOf(MENU_RESUME_SAVE) === 0) {
+    runCommandInTab(tab, 'resume-save', { saveId: id.slice(MENU_RESUME_SAVE.length) });
+  }
+});
+
+// ── Floating toolbar ─────────────────────────────────────────────────
+// The content script renders its toolbar and overlays in shadow roots,
+// styled with the text of ui/styles.css from here: custom sites aren't listed under
+// web_accessible_resources, so the page can't load the file itself.
+// Layouts ({ edge, offset, collapsed, hidden }) are kept per platform id.
+var TOOLBAR_EDGES = ['left', 'right', 'top', 'bottom'];
+
+var toolbarStyles = null;
+
+function getToolbar(platformId, sendResponse) {
+  loadToolbarStyles(function (err, styles) {
+    if (err) {
+      sendResponse({ success: false, error: err });
+      return;
+    }
+    chrome.storage.local.get(['toolbarLayouts'], function (result) {
+      var layouts = result.toolbarLayouts || {};
+      sendResponse({ success: true, data: { styles: styles, layout: layouts[platformId] || null } });
+    });
+  });
+}
+
+function loadToolbarStyles(callback) {
+  if (toolbarStyles !== null) {
+    callback(null, toolbarStyles);
+    return;
+  }
+  fetch(chrome.runtime.getURL('ui/styles.css'))
+    .then(function (response) { return response.text(); })
+    .then(function (text) {
+      toolbarStyles = text;
+      callback(null, text);
+    })
+    .catch(function (err) {
+      callback('Could not load toolbar styles: ' + err.message);
+    });
+}
+
+function saveToolbarLayout(platformId, layout, sendResponse) {
+  if (typeof platformId !== 'string' || !layout || TOOLBAR_EDGES.indexOf(layout.edge) === -1) {
+    sendResponse({ success: false, error: 'Invalid toolbar layout' });
+    return;
+  }
+  var offset = Number(layout.offset);
+  var clean = {
+    edge: layout.edge,
+    offset: isFinite(offset) ? Math.min(Math.max(offset, 0), 1) : 0.5,
+    collapsed: !!layout.collapsed,
+    hidden: !!layout.hidden
+  };
+  updateToolbarLayouts(function (layouts) {
+    layouts[platformId] = clean;
+  }, sendResponse);
+}
+
+function getToolbarLayouts(sendResponse) {
+  chrome.storage.local.get(['toolbarLayouts'], function (result) {
+    sendResponse({ success: true, data: result.toolbarLayouts || {} });
+  });
+}
+
+// Back to the default: shown, expanded, on the right edge
+function resetToolbarLayout(platformId, sendResponse) {
+  updateToolbarLayouts(function (layouts) {
+    delete layouts[platformId];
+  }, sendResponse);
+}
+
+function updateToolbarLayouts(mutate, sendResponse) {
+  chrome.storage.local.get(['toolbarLayouts'], function (result) {
+    var layouts = result.toolbarLayouts || {};
+    mutate(layouts);
+    chrome.storage.local.set({ toolbarLayouts: layouts }, function () {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      } else {
+        sendResponse({ success: true });
+      }
+    });
+  });
+}
+
+// ── Vault (encryption at rest) ───────────────────────────────────────
+// Optional. With a passphrase set, the API key and the text fields of saves
+// and projects are encrypted with AES-GCM under a key derived by PBKDF2.
+// Ids, timestamps, platform, url and projectId stay readable so the store
+// indexes keep working. The unlocked key lives in chrome.storage.session
+// (memory only, never written to disk) until the auto-lock timeout passes.
+var VAULT_ITERATIONS = 600000;
+var VAULT_CHECK = 'sessionlink-vault';
+var VAULT_LOCK_ALARM = 'sessionlink-vault-lock';
+var DEFAULT_AUTO_LOCK_MINUTES = 15;
+var VAULT_LOCKED = 'SessionLink is locked. Open the SessionLink popup and enter your passphrase.';
+
+var SEALED_FIELDS = {
+  saves: ['title', 'summary', 'preview', 'note', 'tags', 'transcript', 'versions', 'redactions', 'redactionMap'],
+  projects: ['memory', 'memoryRedactionMap']
+};
+
+var vaultKeyCache = null; // { raw, key } for the key in session storage
+
+// 0 = stay unlocked until the browser closes
+function getAutoLockMinutes(settings) {
+  return typeof settings.vaultAutoLockMinutes === 'number'
+    ? settings.vaultAutoLockMinutes
+    : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+function getVaultStatus(sendResponse) {
+  chrome.storage.local.get(['settings'], function (result) {
+    var settings = result.settings || {};
+    if (!settings.vault) {
+      sendResponse({ success: true, data: { enabled: false, locked: false } });
+      return;
+    }
+    getVaultKey(function (err) {
+      sendResponse({
+        success: true,
+        data: { enabled: true, locked: !!err, autoLockMinutes: getAutoLockMinutes(settings) }
+      });
+    });
+  });
+}
+
+// Calls back with the CryptoKey, null when encryption is off, or VAULT_LOCKED.
+// Reading doesn't push the auto-lock deadline back, so background traffic
+// (auto-save, menus, pickers) can't keep the vault open.
+function getVaultKey(callback) {
+  chrome.storage.local.get(['settings'], function (result) {
+    var settings = result.settings || {};
+    if (!settings.vault) {
+      callback(null, null);
+      return;
+    }
+    chrome.storage.session.get(['vaultKey', 'vaultExpiresAt'], function (session) {
+      if (!hasLiveVaultKey(session)) {
+        lockVault(function () { callback(VAULT_LOCKED); });
+        return;
+      }
+      importVaultKey(session.vaultKey)
+        .then(function (key) {
+          callback(null, key);
+        })
+        .catch(function (err) {
+          callback('Could not load the vault key: ' + err.message);
+        });
+    });
+  });
+}
+
+function hasLiveVaultKey(session) {
+  return !!session.vaultKey && !(session.vaultExpiresAt && Date.now() >= session.vaultExpiresAt);
+}
+
+function rememberVaultKey(raw, settings, callback) {
+  var minutes = getAutoLockMinutes(settings);
+  var expiresAt = minutes > 0 ? Date.now() + minutes * 60000 : 0;
+  chrome.storage.session.set({ vaultKey: raw, vaultExpiresAt: expiresAt }, function () {
+    if (expiresAt) {
+      chrome.alarms.create(VAULT_LOCK_ALARM, { when: expiresAt });
+    } else {
+      chrome.alarms.clear(VAULT_LOCK_ALARM);
+    }
+    callback();
+  });
+}
+
+// Restarts the auto-lock countdown; sent by the popup when the user opens
+// it or changes the timeout
+function renewVaultLock(sendResponse) {
+  chrome.storage.local.get(['settings'], function (result) {
+    var settings = result.settings || {};
+    if (!settings.vault) {
+      sendResponse({ success: true });
+      return;
+    }
+    chrome.storage.session.get(['vaultKey', 'vaultExpiresAt'], function (session) {
+      if (!hasLiveVaultKey(session)) {
+        sendResponse({ success: false, error: VAULT_LOCKED });
+        return;
+      }
+      rememberVaultKey(session.vaultKey, settings, function () {
+        sendResponse({ success: true });
+      });
+    });
+  });
+}
+
+function lockVault(callback) {
+  vaultKeyCache = null;
+  chrome.alarms.clear(VAULT_LOCK_ALARM);
+  chrome.storage.session.remove(['vaultKey', 'vaultExpiresAt'], function () {
+    callback();
+  });
+}
+
+function unlockVault(passphrase, sendResponse) {
+  chrome.storage.local.get(['settings'], function (result) {
+    var settings = result.settings || {};
+    if (!settings.vault) {
+      sendResponse({ success: false, error: 'Encryption is not turned on' });
+      return;
+    }
+    openVault(settings.vault, passphrase)
+      .then(function (key) {
+        return crypto.subtle.exportKey('raw', key);
+      })
+      .then(function (raw) {
+        rememberVaultKey(toBase64(new Uint8Array(raw)), settings, function () {
+          refreshContextMenus();
+          sendResponse({ success: true });
+        });
+      })
+      .catch(function (err) {
+        sendResponse({ success: false, error: err.message });
+      });
+  });
+}
+
+function enableVault(passphrase, sendResponse) {
+  if (!passphrase || passphrase.length < 8) {
+    sendResponse({ success: false, error: 'Use a passphrase of at least 8 characters' });
+    return;
+  }
+  chrome.storage.local.get(['settings'], function (result) {
+    var settings = result.settings || {};
+    if (settings.vault) {
+      sendResponse({ success: false, error: 'Encryption is already on' });
+      return;
+    }
+
+    var salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    var key;
+    deriveVaultKey(passphrase, salt, VAULT_ITERATIONS)
+      .then(function (derived) {
+        key = derived;
+        return Promise.all([
+          encryptJson(key, VAULT_CHECK),
+          encryptJson(key, settings.apiKey || ''),
+          crypto.subtle.exportKey('raw', key)
+        ]);
+      })
+      .then(function (parts) {
+        settings.vault = { salt: salt, iterations: VAULT_ITERATIONS, check: parts[0], apiKey: parts[1] };
+        settings.apiKey = '';
+        chrome.storage.local.set({ settings: settings }, function () {
+          if (chrome.runtime.lastError) {
+            sendResponse({ success: false, error: chrome.runtime.lastError.message });
+            return;
+          }
+          // Plain records stay readable, so a failure part-way loses nothing;
+          // anything missed is sealed the next time it is written.
+          rememberVaultKey(toBase64(new Uint8Array(parts[2])), settings, function () {
+            rewriteAllRecords(null, key, function (err) {
+              if (err) {
+                sendResponse({ success: false, error: 'Encryption is on, but some saved data is not encrypted yet: ' + err });
+              } else {
+                sendResponse({ success: true });
+              }
+            });
+          });
+        });
+      })
+      .catch(function (err) {
+        sendResponse({ success: false, error: err.message || String(err) });
+      });
+  });
+}
+
+// Needs the passphrase again, so an unlocked, unattended browser can't turn it off
+function disableVault(passphrase, sendResponse) {
+  chrome.storage.local.get(['settings'], function (result) {
+    var settings = result.settings || {};
+    if (!settings.vault) {
+      sendResponse({ success: false, error: 'Encryption is not turned on' });
+      return;
+    }
+    var key;
+    openVault(settings.vault, passphrase)
+      .then(function (opened) {
+        key = opened;
+        return decryptJson(key, settings.vault.apiKey);
+      })
+      .then(function (apiKey) {
+        // Records go back to plain text before the vault settings are dropped
+        rewriteAllRecords(key, null, function (err) {
+          if (err) {
+            sendResponse({ success: false, error: 'Could not decrypt saved data: ' + err });
+            return;
+          }
+          settings.apiKey = apiKey;
+          delete settings.vault;
+          chrome.storage.local.set({ settings: settings }, function () {
+            if (chrome.runtime.lastError) {
+              sendResponse({ success: false, error: chrome.runtime.lastError.message });
+              return;
+            }
+            lockVault(function () {
+              sendResponse({ success: true });
+            });
+          });
+        });
+      })
+      .catch(function (err) {
+        sendResponse({ success: false, error: err.message || String(err) });
+      });
+  });
+}
+
+// The popup saves other settings directly; a new API key comes here to be sealed
+function setVaultApiKey(apiKey, sendResponse) {
+  getVaultKey(function (err, key) {
+    if (err || !key) {
+      sendResponse({ success: false, error: err || 'Encryption is not turned on' });
+      return;
+    }
+    encryptJson(key, apiKey || '')
+      .then(function (box) {
+        chrome.storage.local.get(['settings'], function (result) {
+          var settings = result.settings || {};
+          settings.vault.apiKey = box;
+          settings.apiKey = '';
+          chrome.storage.local.set({ settings: settings }, function () {
+            if (chrome.runtime.lastError) {
+              sendResponse({ success: false, error: chrome.runtime.lastError.message });
+            } else {
+              sendResponse({ success: true });
+            }
+          });
+        });
+      })
+      .catch(function (encryptErr) {
+        sendResponse({ success: false, error: encryptErr.message });
+      });
+  });
+}
+
+// chrome.storage.local.get for handlers that call a provider; with
+// encryption on, settings.apiKey is filled in from the vault
+function readSettings(keys, callback) {
+  chrome.storage.local.get(keys, function (result) {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+      return;
+    }
+    var settings = result.settings || {};
+    if (!settings.vault) {
+      callback(null, result);
+      return;
+    }
+    getVaultKey(function (err, key) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      decryptJson(key, settings.vault.apiKey)
+        .then(function (apiKey) {
+          settings.apiKey = apiKey;
+          result.settings = settings;
+          callback(null, result);
+        })
+        .catch(function () {
+          callback('Could not decrypt the API key');
+        });
+    });
+  });
+}
+
+// The popup leaves the key field blank while encryption is on
+function withStoredApiKey(settings, callback) {
+  if (settings.apiKey) {
+    callback(null, settings);
+    return;
+  }
+  readSettings(['settings'], function (err, result) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    var stored = result.settings || {};
+    callback(null, stored.vault ? Object.assign({}, settings, { apiKey: stored.apiKey }) : settings);
+  });
+}
+
+// ── Vault: record sealing ────────────────────────────────────────────
+// A sealed record keeps its plain fields and moves SEALED_FIELDS into
+// `sealed` ({ iv, data }). Records without `sealed` are read as they are.
+function sealRecords(storeName, records, key, callback) {
+  if (!key) {
+    callback(null, records);
+    return;
+  }
+  Promise.all(records.map(function (record) {
+    var out = Object.assign({}, record);
+    var payload = {};
+    SEALED_FIELDS[storeName].forEach(function (field) {
+      if (field in out) {
+        payload[field] = out[field];
+        delete out[field];
+      }
+    });
+    return encryptJson(key, payload).then(function (box) {
+      out.sealed = box;
+      return out;
+    });
+  }))
+    .then(function (sealed) {
+      callback(null, sealed);
+    })
+    .catch(function (err) {
+      callback('Could not encrypt: ' + err.message);
+    });
+}
+
+function openRecords(records, key, callback) {
+  var anySealed = records.some(function (record) { return record && record.sealed; });
+  if (!anySealed) {
+    callback(null, records);
+    return;
+  }
+  if (!key) {
+    callback(VAULT_LOCKED);
+    return;
+  }
+  Promise.all(records.map(function (record) {
+    if (!record || !record.sealed) return record;
+    return decryptJson(key, record.sealed).then(function (fields) {
+      var out = Object.assign({}, record, fields);
+      delete out.sealed;
+      return out;
+    });
+  }))
+    .then(function (opened) {
+      callback(null, opened);
+    })
+    .catch(function () {
+      callback('Could not decrypt saved data');
+    });
+}
+
+// Re-writes every save and project, used when encryption is switched on or off
+function rewriteAllRecords(readKey, writeKey, callback) {
+  var storeNames = ['saves', 'projects'];
+  (function next(i) {
+    if (i === storeNames.length) {
+      callback(null);
+      return;
+    }
+    var storeName = storeNames[i];
+    withStore(storeName, 'readonly', function (store) {
+      var out = { value: [] };
+      store.getAll().onsuccess = function (event) {
+        out.value = event.target.result || [];
+      };
+      return out;
+    }, function (err, records) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      openRecords(records, readKey, function (openErr, opened) {
+        if (openErr) {
+          callback(openErr);
+          return;
+        }
+        sealRecords(storeName, opened, writeKey, function (sealErr, sealed) {
+          if (sealErr) {
+            callback(sealErr);
+            return;
+          }
+          putRecords(storeName, sealed, function (putErr) {
+            if (putErr) {
+              callback(putErr);
+            } else {
+              next(i + 1);
+            }
+          });
+        });
+      });
+    });
+  })(0);
+}
+
+// ── Vault: WebCrypto helpers ─────────────────────────────────────────
+function deriveVaultKey(passphrase, salt, iterations) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+    .then(function (material) {
+      return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations: iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true, // exported once, into session storage
+        ['encrypt', 'decrypt']
+      );
+    });
+}
+
+// Derives the key and checks it against the stored verifier
+function openVault(vault, passphrase) {
+  var key;
+  return deriveVaultKey(passphrase || '', vault.salt, vault.iterations)
+    .then(function (derived) {
+      key = derived;
+      return decryptJson(key, vault.check);
+    })
+    .then(function (check) {
+      if (check !== VAULT_CHECK) throw new Error('Wrong passphrase');
+      return key;
+    }, function () {
+      throw new Error('Wrong passphrase');
+    });
+}
+
+function importVaultKey(raw) {
+  if (vaultKeyCache && vaultKeyCache.raw === raw) return Promise.resolve(vaultKeyCache.key);
+  return crypto.subtle.importKey('raw', fromBase64(raw), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+    .then(function (key) {
+      vaultKeyCache = { raw: raw, key: key };
+      return key;
+    });
+}
+
+function encryptJson(key, value) {
+  var iv = crypto.getRandomValues(new Uint8Array(12));
+  var plain = new TextEncoder().encode(JSON.stringify(value));
+  return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, plain).then(function (data) {
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+  });
+}
+
+function decryptJson(key, box) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(box.iv) }, key, fromBase64(box.data))
+    .then(function (plain) {
+      return JSON.parse(new TextDecoder().decode(plain));
+    });
+}
+
+function toBase64(bytes) {
+  var binary = '';
+  // Chunked so long transcripts don't overflow the argument list
+  for (var i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  var binary = atob(text);
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// ── Utility ──────────────────────────────────────────────────────────
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+}
+
+// ── Lifecycle events ─────────────────────────────────────────────────
+chrome.runtime.onInstalled.addListener(function (details) {
+  if (details.reason === 'install') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('pages/onboarding.html') });
+
+    chrome.storage.local.set({
+      settings: {
+        apiProvider: 'openai',
+        apiKey: '',
+        retention: { maxCount: DEFAULT_RETENTION.maxCount, maxAgeDays: DEFAULT_RETENTION.maxAgeDays }
+      },
+      storageVersion: STORAGE_VERSION
+    });
+    console.log('SessionLink: installed');
+  } else if (details.reason === 'update') {
+    console.log('SessionLink: updated to', chrome.runtime.getManifest().version);
+    migrateStorage(function (err) {
+      if (err) console.error('SessionLink: storage migration failed', err);
+    });
+  }
+  syncCustomSiteScripts();
+  buildContextMenus();
+});
+
+chrome.runtime.onStartup.addListener(function () {
+  syncCustomSiteScripts();
+  buildContextMenus();
+});
+
+chrome.alarms.onAlarm.addListener(function (alarm) {
+  if (alarm.name === VAULT_LOCK_ALARM) {
+    lockVault(function () {
+      refreshContextMenus();
+      console.log('SessionLink: vault auto-locked');
     });
-    console.log('SessionLink: installed');
-  } else if (details.reason === 'update') {
-    console.log('SessionLink: updated to', chrome.runtime.getManifest().version);
   }
 });
 
@@ -1,11 +1,11 @@
 /**
  * SessionLink Content Script
- * Handles DOM injection and conversation scraping for ChatGPT, Claude, and Gemini.
+ * Handles DOM injection and conversation scraping for the sites in adapters.js.
  *
  * Key fixes in this version:
  *  - Uses chrome.runtime.sendMessage with callback (not Promise) so the
  *    background service-worker always receives the message.
- *  - Updated DOM selectors for ChatGPT (Feb 2026 DOM), Claude, and Gemini.
+ *  - Selectors come from versioned platform adapters with fallbacks.
  *  - Resume injects text AND simulates Enter to auto-send per the spec.
  *  - Robust retry loop for button injection on SPA navigations.
  */
@@ -13,81 +13,46 @@
 (function () {
   'use strict';
 
-  // ── Platform configs ───────────────────────────────────────────────
-  var PLATFORMS = {
-    chatgpt: {
-      name: 'ChatGPT',
-      hostPatterns: ['chatgpt.com', 'chat.openai.com'],
-      selectors: {
-        // ChatGPT 2025-2026 DOM
-        userMessage: '[data-message-author-role="user"]',
-        assistantMessage: '[data-message-author-role="assistant"]',
-        allMessages: '[data-message-author-role]',
-        inputArea: '#prompt-textarea',
-        sendButton: '[data-testid="send-button"], button[aria-label="Send prompt"]',
-        conversationArea: 'main'
-      },
-      getMessageText: function (el) {
-        var md = el.querySelector('.markdown, .whitespace-pre-wrap, .text-message');
-        return md ? md.innerText.trim() : el.innerText.trim();
-      }
-    },
-    claude: {
-      name: 'Claude',
-      hostPatterns: ['claude.ai'],
-      selectors: {
-        userMessage: '[data-testid="user-message"], .font-user-message',
-        assistantMessage: '[data-testid="ai-message"], .font-claude-message',
-        allMessages: '[data-testid="user-message"], [data-testid="ai-message"], .font-user-message, .font-claude-message',
-        inputArea: '[contenteditable="true"].ProseMirror, div[contenteditable="true"], fieldset textarea',
-        sendButton: 'button[aria-label="Send Message"], button[aria-label="Send message"], fieldset button[type="button"]:last-of-type',
-        conversationArea: 'main, [role="main"]'
-      },
-      getMessageText: function (el) {
-        return el.innerText.trim();
-      }
-    },
-    gemini: {
-      name: 'Gemini',
-      hostPatterns: ['gemini.google.com'],
-      selectors: {
-        userMessage: '.query-text, user-query, .user-query',
-        assistantMessage: '.model-response-text, model-response, .response-content',
-        allMessages: '.query-text, .model-response-text, user-query, model-response',
-        inputArea: '.ql-editor, rich-textarea .ql-editor, div[contenteditable="true"], textarea[aria-label]',
-        sendButton: 'button.send-button, button[aria-label="Send message"], .send-button-container button',
-        conversationArea: 'main, .conversation-container'
-      },
-      getMessageText: function (el) {
-        return el.innerText.trim();
-      }
-    }
-  };
-
-  // ── Detect current platform ────────────────────────────────────────
-  function detectPlatform() {
-    var hostname = window.location.hostname;
-    var keys = Object.keys(PLATFORMS);
-    for (var i = 0; i < keys.length; i++) {
-      var key = keys[i];
-      var cfg = PLATFORMS[key];
-      for (var j = 0; j < cfg.hostPatterns.length; j++) {
-        if (hostname.indexOf(cfg.hostPatterns[j]) !== -1) {
-          return { id: key, name: cfg.name, selectors: cfg.selectors, getMessageText: cfg.getMessageText };
-        }
-      }
-    }
-    return null;
-  }
-
-  var platform = detectPlatform();
-  if (!platform) return;
+  // ── Platform adapter ───────────────────────────────────────────────
+  // Sites are described as data in adapters.js. Each selector field lists
+  // strategies in order; set at boot, once imported adapters are loaded.
+  var platform = null;
 
-  // Prevent double-injection (only on supported platforms)
+  // Prevent double-injection
   if (window.__sessionLinkInjected) return;
   window.__sessionLinkInjected = true;
 
-  console.log('SessionLink: detected ' + platform.name);
+  // First strategy that matches anything on the page. When none does
+  // (e.g. the page is still rendering) the first one the browser can
+  // parse is used, so callers always get a valid selector.
+  function selector(field) {
+    var index = matchedStrategy(field, document);
+    var strategies = platform.selectors[field] || [];
+    if (index !== -1) return strategies[index];
+    for (var i = 0; i < strategies.length; i++) {
+      if (isSupported(strategies[i])) return strategies[i];
+    }
+    return ':not(*)';
+  }
+
+  // Index of the first strategy matching under root, or -1
+  function matchedStrategy(field, root) {
+    var strategies = platform.selectors[field] || [];
+    for (var i = 0; i < strategies.length; i++) {
+      if (isSupported(strategies[i]) && root.querySelector(strategies[i])) return i;
+    }
+    return -1;
+  }
+
+  // e.g. :has() needs Firefox 121
+  function isSupported(sel) {
+    try {
+      document.createDocumentFragment().querySelector(sel);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
 
   // ── Messaging helper (callback-based, works reliably with MV3) ────
   function sendMsg(msg, cb) {
@@ -107,26 +72,30 @@
   }
 
   // ── Scrape conversation ────────────────────────────────────────────
+  // maxTurns: number of recent turns to keep (default 15); 0 keeps everything.
   function scrapeConversation(maxTurns) {
-    maxTurns = maxTurns || 15;
+    if (maxTurns === undefined) maxTurns = 15;
     var messages = [];
-    var sel = platform.selectors;
+    var userSelector = selector('userMessage');
+    var allSelector = selector('allMessages');
 
     // Try role-based approach first (ChatGPT)
-    var allEls = document.querySelectorAll(sel.allMessages);
+    var allEls = document.querySelectorAll(allSelector);
     if (allEls.length > 0) {
       for (var i = 0; i < allEls.length; i++) {
         var el = allEls[i];
+        // Outermost matches only: a message and its body can both match
+        if (el.parentElement && el.parentElement.closest(allSelector)) continue;
         var role = el.getAttribute('data-message-author-role');
         if (!role) {
           // Determine role from selector match
-          if (el.matches(sel.userMessage)) {
+          if (el.matches(userSelector)) {
             role = 'user';
           } else {
             role = 'assistant';
           }
         }
-        var text = platform.getMessageText(el);
+        var text = getMessageText(el);
         if (text && text.length > 0) {
           messages.push({ role: role, content: text });
         }
@@ -135,8 +104,8 @@
 
     // Fallback: try user + assistant separately and sort by DOM order
     if (messages.length === 0) {
-      var userEls = document.querySelectorAll(sel.userMessage);
-      var assistEls = document.querySelectorAll(sel.assistantMessage);
+      var userEls = document.querySelectorAll(userSelector);
+      var assistEls = document.querySelectorAll(selector('assistantMessage'));
       var combined = [];
       for (var u = 0; u < userEls.length; u++) {
         combined.push({ el: userEls[u], role: 'user' });
@@ -150,7 +119,7 @@
                (y.el.getBoundingClientRect().top + window.scrollY);
       });
       for (var c = 0; c < combined.length; c++) {
-        var txt = platform.getMessageText(combined[c].el);
+        var txt = getMessageText(combined[c].el);
         if (txt && txt.length > 0) {
           messages.push({ role: combined[c].role, content: txt });
         }
@@ -159,28 +128,241 @@
 
     // Keep last N turns
     var limit = maxTurns * 2;
-    if (messages.length > limit) {
+    if (limit > 0 && messages.length > limit) {
       messages = messages.slice(messages.length - limit);
     }
     return messages;
   }
 
+  // ── DOM to Markdown ────────────────────────────────────────────────
+  // innerText flattens code blocks, tables and lists into plain prose.
+  // Messages are converted to Markdown instead, so both the summarizer
+  // and stored transcripts see fenced code with its language, tables,
+  // lists, headings, inline code and links.
+  var BLOCK_TAGS = /^(P|DIV|SECTION|ARTICLE|FIGURE|DETAILS|SUMMARY|DL|DT|DD|HEADER|FOOTER)$/;
+  var SKIPPED = 'button, svg, style, script, .code-block-decoration, .sr-only, [aria-hidden="true"]';
+  // Code is swapped for a placeholder while whitespace is tidied, then
+  // restored; list indentation uses a marker the tidy pass leaves alone.
+  var CODE_MARK = '\u0000';
+  var INDENT_MARK = '\u0001';
+
+  function getMessageText(el) {
+    var index = matchedStrategy('messageContent', el);
+    var root = index === -1 ? el : el.querySelector(platform.selectors.messageContent[index]);
+    return toMarkdown(root, el.matches(selector('userMessage')));
+  }
+
+  function toMarkdown(root, isUser) {
+    var state = { codes: [], inline: false };
+    // A user message that is only a heading (Perplexity shows questions as
+    // <h1>) is plain text; replies keep their headings
+    var heading = !isUser ? null : /^H[1-6]$/.test(root.tagName) ? root : root.querySelector('h1, h2, h3, h4, h5, h6');
+    var plain = heading && heading.textContent.trim() === root.textContent.trim();
+    var text = tidy(plain ? convertChildren(heading, state) : convertNode(root, state));
+    text = text.replace(/^(.*)\u0000(\d+)\u0000$/gm, function (m, prefix, n) {
+      var rest = prefix.replace(/[^\s>\u0001]/g, ' ');
+      return state.codes[n].split('\n').map(function (line, i) {
+        return (i === 0 ? prefix : rest) + line;
+      }).join('\n');
+    });
+    return text.replace(/\u0001/g, ' ').replace(/[ \t]+$/gm, '').trim();
+  }
+
+  function tidy(text) {
+    return text
+      .replace(/ {2,}/g, ' ')
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  function convertChildren(node, state) {
+    var out = '';
+    for (var i = 0; i < node.childNodes.length; i++) out += convertNode(node.childNodes[i], state);
+    return out;
+  }
+
+  function convertNode(node, state) {
+    if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, ' ');
+    if (node.nodeType !== 1 || node.matches(SKIPPED)) return '';
+
+    var tag = node.tagName;
+    if (node.classList.contains('katex')) return math(node);
+    if (/^H[1-6]$/.test(tag)) {
+      return block(new Array(+tag.charAt(1) + 1).join('#') + ' ' + tidy(convertChildren(node, state)).replace(/\n+/g, ' '));
+    }
+
+    switch (tag) {
+      case 'PRE':
+        if (state.inline) return inlineCode(node.textContent);
+        state.codes.push(fenceCode(node));
+        return block(CODE_MARK + (state.codes.length - 1) + CODE_MARK);
+      case 'CODE':
+        return inlineCode(node.textContent);
+      case 'BR':
+        return state.inline ? ' ' : '\n';
+      case 'HR':
+        return block('---');
+      case 'STRONG':
+      case 'B':
+        return emphasize(convertChildren(node, state), '**');
+      case 'EM':
+      case 'I':
+        return emphasize(convertChildren(node, state), '*');
+      case 'DEL':
+      case 'S':
+        return emphasize(convertChildren(node, state), '~~');
+      case 'A':
+        return link(node, convertChildren(node, state));
+      case 'IMG':
+        return node.getAttribute('alt') || '';
+      case 'UL':
+      case 'OL':
+        return block(list(node, state));
+      case 'TABLE':
+        return block(table(node, state));
+      case 'BLOCKQUOTE':
+        return block(tidy(convertChildren(node, state)).split('\n').map(function (line) {
+          return line ? '> ' + line : '>';
+        }).join('\n'));
+    }
+
+    if (!BLOCK_TAGS.test(tag)) return convertChildren(node, state);
+    // User messages are usually plain text shown with white-space: pre-wrap,
+    // where line breaks and indentation (pasted code) are part of the text
+    if (isPlainPreWrap(node)) {
+      state.codes.push(node.textContent.replace(/^\n+|\s+$/g, ''));
+      return block(CODE_MARK + (state.codes.length - 1) + CODE_MARK);
+    }
+    return block(convertChildren(node, state));
+  }
+
+  function block(text) {
+    return '\n\n' + text + '\n\n';
+  }
+
+  // Keeps surrounding spaces outside the markers: "** bold **" isn't bold
+  function emphasize(text, mark) {
+    var m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[2] ? m[1] + mark + m[2] + mark + m[3] : text;
+  }
+
+  function inlineCode(text) {
+    text = text.replace(/\n/g, ' ');
+    if (!text.trim()) return '';
+    var fence = '`';
+    while (text.indexOf(fence) !== -1) fence += '`';
+    var pad = text.charAt(0) === '`' || text.charAt(text.length - 1) === '`' ? ' ' : '';
+    return fence + pad + text + pad + fence;
+  }
+
+  function link(a, text) {
+    text = tidy(text).replace(/\n+/g, ' ');
+    // Bare URLs are left as they are; Markdown renderers link them anyway
+    if (!text || !/^https?:/i.test(a.href) || text === a.href || text === a.getAttribute('href')) return text;
+    return '[' + text + '](' + a.href + ')';
+  }
+
+  function list(node, state) {
+    var ordered = node.tagName === 'OL';
+    var number = parseInt(node.getAttribute('start'), 10) || 1;
+    var items = [];
+    for (var i = 0; i < node.children.length; i++) {
+      var li = node.children[i];
+      if (li.tagName !== 'LI') continue;
+      var marker = ordered ? (number++) + '. ' : '- ';
+      var indent = new Array(marker.length + 1).join(INDENT_MARK);
+      var body = tidy(convertChildren(li, state)).replace(/\n{2,}/g, '\n');
+      items.push(marker + body.split('\n').join('\n' + indent));
+    }
+    return items.join('\n');
+  }
+
+  function table(node, state) {
+    var rows = node.querySelectorAll('tr');
+    var lines = [];
+    state.inline = true;
+    for (var r = 0; r < rows.length; r++) {
+      var cells = [];
+      for (var c = 0; c < rows[r].children.length; c++) {
+        var cell = rows[r].children[c];
+        if (cell.tagName !== 'TD' && cell.tagName !== 'TH') continue;
+        cells.push(tidy(convertChildren(cell, state)).replace(/\n+/g, ' ').replace(/\|/g, '\\|'));
+      }
+      lines.push('| ' + cells.join(' | ') + ' |');
+      if (r === 0) {
+        lines.push('|' + cells.map(function () { return ' --- '; }).join('|') + '|');
+      }
+    }
+    state.inline = false;
+    return lines.join('\n');
+  }
+
+  // KaTeX keeps the source TeX in a MathML annotation
+  function math(node) {
+    var tex = node.querySelector('annotation[encoding="application/x-tex"]');
+    if (!tex) return node.textContent;
+    var mark = node.closest('.katex-display') ? '$$' : '$';
+    return mark + tex.textContent.trim() + mark;
+  }
+
+  function isPlainPreWrap(node) {
+    for (var i = 0; i < node.children.length; i++) {
+      if (node.children[i].tagName !== 'BR') return false;
+    }
+    return /^pre/.test(window.getComputedStyle(node).whiteSpace);
+  }
+
+  function fenceCode(pre) {
+    var code = (pre.querySelector('code') || pre).textContent.replace(/\n+$/, '');
+    var fence = '```';
+    while (code.indexOf(fence) !== -1) fence += '`';
+    return fence + codeLanguage(pre) + '\n' + code + '\n' + fence;
+  }
+
+  // language-* classes (ChatGPT, Claude), data-language, or Gemini's header label
+  function codeLanguage(pre) {
+    var code = pre.querySelector('code');
+    var classes = (code ? code.className : '') + ' ' + pre.className;
+    var match = classes.match(/\b(?:language|lang)-([\w#+.-]+)/);
+    if (match) return match[1].toLowerCase();
+    var attr = pre.getAttribute('data-language') || (code && code.getAttribute('data-language'));
+    if (attr) return attr.toLowerCase();
+    var block = pre.closest('code-block');
+    var label = block && block.querySelector('.code-block-decoration span');
+    return label ? label.textContent.trim().toLowerCase().replace(/\s+/g, '-') : '';
+  }
+
   // ── Sanitize text ──────────────────────────────────────────────────
+  // Only prose is stripped: fenced blocks and inline code spans keep their
+  // <tags>, javascript: URLs and on*= handlers, since they are the code.
+  var CODE_SPANS = /(`{3,})[^\n]*\n[\s\S]*?\n\1(?=\n|$)|`[^`\n]+`/g;
+
   function sanitize(text) {
     if (!text) return '';
+    var out = '';
+    var last = 0;
+    var match;
+    CODE_SPANS.lastIndex = 0;
+    while ((match = CODE_SPANS.exec(text))) {
+      out += stripMarkup(text.slice(last, match.index)) + match[0];
+      last = CODE_SPANS.lastIndex;
+    }
+    return (out + stripMarkup(text.slice(last))).trim();
+  }
+
+  function stripMarkup(text) {
     return text
       .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
       .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
       .replace(/<[^>]+>/g, '')
       .replace(/javascript:/gi, '')
-      .replace(/on\w+\s*=/gi, '')
-      .trim();
+      .replace(/on\w+\s*=/gi, '');
   }
 
   // ── Inject text into the chat input ────────────────────────────────
   function injectIntoInput(text) {
-    var sel = platform.selectors;
-    var input = document.querySelector(sel.inputArea);
+    var input = document.querySelector(selector('inputArea'));
     if (!input) {
       // Broad fallback
       input = document.querySelector('#prompt-textarea, [contenteditable="true"], textarea');
@@ -217,12 +399,10 @@
 
   // ── Simulate send (Enter key + click send button) ──────────────────
   function simulateSend() {
-    var sel = platform.selectors;
-
     // Small delay to let React/framework process the input
     setTimeout(function () {
       // Try clicking the send button first
-      var sendBtn = document.querySelector(sel.sendButton);
+      var sendBtn = platform.selectors.sendButton && document.querySelector(selector('sendButton'));
       if (sendBtn && !sendBtn.disabled) {
         sendBtn.click();
         console.log('SessionLink: clicked send button');
@@ -230,7 +410,7 @@
       }
 
       // Fallback: press Enter on the input
-      var input = document.querySelector(sel.inputArea) ||
+      var input = document.querySelector(selector('inputArea')) ||
                   document.querySelector('#prompt-textarea, [contenteditable="true"], textarea');
       if (input) {
         input.dispatchEvent(new KeyboardEvent('keydown', {
@@ -242,16 +422,44 @@
     }, 400);
   }
 
+  // ── Overlay layer ──────────────────────────────────────────────────
+  // Toasts and dialogs get a shadow root of their own, styled like the
+  // toolbar's: the toolbar host is display:none while the toolbar is
+  // hidden, and shortcuts still open the picker then. Re-created if an SPA
+  // navigation removed the host.
+  var OVERLAY_HOST_ID = 'sessionlink-overlays';
+  var overlayLayer = null;
+
+  function overlayRoot() {
+    if (overlayLayer && overlayLayer.host.isConnected) return overlayLayer;
+
+    var host = document.createElement('div');
+    host.id = OVERLAY_HOST_ID;
+    host.style.cssText = 'all: initial;';
+    overlayLayer = host.attachShadow({ mode: 'open' });
+
+    var style = document.createElement('style');
+    style.textContent = toolbarStyles;
+    overlayLayer.appendChild(style);
+    document.body.appendChild(host);
+    return overlayLayer;
+  }
+
+  function overlayElement(id) {
+    return overlayLayer ? overlayLayer.getElementById(id) : null;
+  }
+
   // ── Notification toast ─────────────────────────────────────────────
   function showNotification(message, type) {
     type = type || 'info';
-    var existing = document.querySelector('.sessionlink-notification');
+    var layer = overlayRoot();
+    var existing = layer.querySelector('.sessionlink-notification');
     if (existing) existing.remove();
 
     var el = document.createElement('div');
     el.className = 'sessionlink-notification sessionlink-notification-' + type;
     el.textContent = message;
-    document.body.appendChild(el);
+    layer.appendChild(el);
 
     setTimeout(function () { el.classList.add('show'); }, 20);
     setTimeout(function () {
@@ -271,53 +479,361 @@
   }
 
   // ── SAVE STATE handler ─────────────────────────────────────────────
-  function handleSave() {
-    var btn = document.getElementById('sessionlink-save-btn');
+  // templateId is optional; without it the background uses the default template.
+  // If this conversation was saved before, the user can update that save
+  // with the new turns instead of creating another snapshot.
+  function handleSave(templateId) {
+    var btn = toolbarElement('sessionlink-save-btn');
     if (!btn || btn.disabled) return;
 
     btn.disabled = true;
     var origHTML = btn.innerHTML;
-    btn.innerHTML =
-      '<svg class="sessionlink-spinner" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle></svg>' +
-      '<span>Saving…</span>';
 
-    var messages = scrapeConversation(15);
-    if (messages.length === 0) {
-      showNotification('No conversation found to save.', 'error');
+    function finish() {
       btn.innerHTML = origHTML;
       btn.disabled = false;
-      return;
     }
 
-    // Build conversation text
-    var parts = [];
+    sendMsg({ action: 'findSaveByUrl', url: window.location.href }, function (existingResponse) {
+      var existing = existingResponse && existingResponse.success ? existingResponse.data : null;
+      if (!existing) {
+        capture(null);
+        return;
+      }
+      openUpdateDialog(existing, function (choice) {
+        if (choice === 'update') {
+          capture(existing);
+        } else if (choice === 'new') {
+          capture(null);
+        } else {
+          finish();
+        }
+      });
+    });
+
+    function capture(target) {
+      var busyLabel = target ? 'Updating…' : 'Saving…';
+      setBusyLabel(btn, busyLabel);
+
+      sendMsg({ action: 'getContentSettings' }, function (settingsResponse) {
+        var captureMode = settingsResponse.success ? settingsResponse.data.captureMode : 'recent';
+
+        if (captureMode === 'full') {
+          setBusyLabel(btn, 'Loading history…');
+          loadFullHistory(function () {
+            setBusyLabel(btn, busyLabel);
+            summarize(scrapeConversation(0), target);
+          });
+        } else {
+          summarize(scrapeConversation(15), target);
+        }
+      });
+    }
+
+    function summarize(messages, target) {
+      if (messages.length === 0) {
+        showNotification('No conversation found to save.', 'error');
+        finish();
+        return;
+      }
+
+      for (var i = 0; i < messages.length; i++) {
+        messages[i].content = sanitize(messages[i].content);
+      }
+
+      sendMsg({
+        action: target ? 'updateSummary' : 'summarize',
+        id: target ? target.id : undefined,
+        messages: messages,
+        platform: platform.name,
+        url: window.location.href,
+        title: document.title,
+        templateId: typeof templateId === 'string' ? templateId : undefined,
+        timestamp: new Date().toISOString()
+      }, function (response) {
+        finish();
+
+        if (response && response.success) {
+          markAutoSaved();
+          showNotification(target
+            ? 'Save updated with ' + response.newTurns + ' new turn' + (response.newTurns !== 1 ? 's' : '') + '.'
+            : 'Context saved successfully!', 'success');
+        } else {
+          var errMsg = (response && response.error) ? response.error : 'Failed to save context';
+          showNotification(errMsg, target && errMsg.indexOf('Nothing new') === 0 ? 'info' : 'error');
+        }
+      });
+    }
+  }
+
+  // ── Transcript-only save ───────────────────────────────────────────
+  // Stores the whole conversation as captured, without calling a provider,
+  // so it works with no API key. Text is kept verbatim (no sanitize) since
+  // it is only ever displayed as text.
+  function handleSaveTranscript() {
+    var btn = toolbarElement('sessionlink-save-btn');
+    if (!btn || btn.disabled) return;
+
+    btn.disabled = true;
+    var origHTML = btn.innerHTML;
+    setBusyLabel(btn, 'Loading history…');
+
+    loadFullHistory(function () {
+      var messages = scrapeConversation(0);
+      if (messages.length === 0) {
+        btn.innerHTML = origHTML;
+        btn.disabled = false;
+        showNotification('No conversation found to save.', 'error');
+        return;
+      }
+
+      setBusyLabel(btn, 'Saving…');
+      sendMsg({
+        action: 'saveTranscript',
+        messages: messages,
+        platform: platform.name,
+        url: window.location.href,
+        title: document.title,
+        timestamp: new Date().toISOString()
+      }, function (response) {
+        btn.innerHTML = origHTML;
+        btn.disabled = false;
+        if (response && response.success) {
+          showNotification('Transcript saved (' + messages.length + ' messages).', 'success');
+        } else {
+          showNotification((response && response.error) || 'Failed to save transcript', 'error');
+        }
+      });
+    });
+  }
+
+  // ── "Update or save as new?" dialog ────────────────────────────────
+  // Calls done('update' | 'new' | 'cancel') exactly once.
+  function openUpdateDialog(save, done) {
+    closeUpdateDialog();
+
+    var overlay = document.createElement('div');
+    overlay.id = 'sessionlink-update-dialog';
+    overlay.className = 'sessionlink-picker-overlay';
+    overlay.innerHTML =
+      '<div class="sessionlink-picker sessionlink-dialog" role="dialog" aria-modal="true" aria-label="Update saved state">' +
+      '  <div class="sessionlink-picker-header">' +
+      '    <span class="sessionlink-picker-title">This conversation is already saved</span>' +
+      '    <button type="button" class="sessionlink-picker-close" title="Close" aria-label="Close">&times;</button>' +
+      '  </div>' +
+      '  <div class="sessionlink-dialog-body">' +
+      '    <div class="sessionlink-picker-item-title">' + escapeHtml(save.title || 'Untitled save') + '</div>' +
+      '    <div class="sessionlink-picker-preview">Saved ' + escapeHtml(formatRelativeTime(save.timestamp)) +
+             '. Updating sends only the turns added since then, and keeps the old summary in its history.</div>' +
+      '  </div>' +
+      '  <div class="sessionlink-dialog-actions">' +
+      '    <button type="button" class="sessionlink-dialog-btn" data-choice="new">Save as new</button>' +
+      '    <button type="button" class="sessionlink-dialog-btn sessionlink-dialog-btn-primary" data-choice="update">Update save</button>' +
+      '  </div>' +
+      '</div>';
+    overlayRoot().appendChild(overlay);
+
+    var answered = false;
+    function answer(choice) {
+      if (answered) return;
+      answered = true;
+      closeUpdateDialog();
+      done(choice);
+    }
+
+    overlay.querySelectorAll('.sessionlink-dialog-btn').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        answer(btn.getAttribute('data-choice'));
+      });
+    });
+    overlay.querySelector('.sessionlink-picker-close').addEventListener('click', function () {
+      answer('cancel');
+    });
+    overlay.addEventListener('click', function (e) {
+      if (e.target === overlay) answer('cancel');
+    });
+    overlay.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        answer('cancel');
+      }
+    });
+
+    overlay.querySelector('[data-choice="update"]').focus();
+  }
+
+  function closeUpdateDialog() {
+    var existing = overlayElement('sessionlink-update-dialog');
+    if (existing) existing.remove();
+  }
+
+  function setBusyLabel(btn, label) {
+    btn.innerHTML =
+      '<svg class="sessionlink-spinner" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle></svg>' +
+      '<span>' + escapeHtml(label) + '</span>';
+  }
+
+  // ── Progress updates from the background (chunked summaries) ──────
+  chrome.runtime.onMessage.addListener(function (message) {
+    if (message.action !== 'summarizeProgress') return;
+
+    // Either a save or a project-memory rollup (resume button) is running
+    var btn = toolbarElement('sessionlink-save-btn');
+    if (!btn || !btn.disabled) btn = toolbarElement('sessionlink-resume-btn');
+    if (!btn || !btn.disabled) return;
+
+    if (message.stage === 'merge') {
+      setBusyLabel(btn, 'Merging ' + message.total + ' parts…');
+    } else {
+      setBusyLabel(btn, 'Summarizing ' + (message.done + 1) + '/' + message.total + '…');
+    }
+  });
+
+  // ── Auto-save ──────────────────────────────────────────────────────
+  // Opt-in per platform. Once the page has been quiet for a moment and
+  // `turnThreshold` new assistant replies have arrived, the conversation is
+  // saved; it is saved again when the tab is hidden or closed. Rate limits
+  // live in the background, which also turns repeat saves into updates.
+  // Auto-saves always capture the recent turns so the page never scrolls.
+  var AUTO_SAVE_QUIET_MS = 5000;
+  var autoSaveConfig = null; // set while auto-save is on for this platform
+  var autoSaveBaseline = null; // assistant turns at the last save; null = not measured yet
+  var autoSaveTimer = null;
+  var autoSaveBusy = false;
+  var autoSaveListening = false;
+
+  function setupAutoSave() {
+    autoSaveBaseline = null;
+    sendMsg({ action: 'getContentSettings' }, function (response) {
+      var config = response && response.success ? response.data.autoSave : null;
+      autoSaveConfig = config && config.enabled && config.platforms[platform.id] !== false ? config : null;
+      if (!autoSaveConfig || autoSaveListening) return;
+
+      autoSaveListening = true;
+      document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'hidden') runAutoSave('hidden');
+      });
+      window.addEventListener('beforeunload', function () {
+        runAutoSave('unload');
+      });
+      scheduleAutoSaveCheck();
+    });
+  }
+
+  // Called for every DOM mutation; streaming replies keep pushing it back
+  function scheduleAutoSaveCheck() {
+    if (!autoSaveConfig) return;
+    clearTimeout(autoSaveTimer);
+    autoSaveTimer = setTimeout(function () {
+      // The first quiet moment after load is the already-rendered history
+      if (autoSaveBaseline === null) {
+        autoSaveBaseline = countAssistantTurns();
+      } else if (countAssistantTurns() - autoSaveBaseline >= autoSaveConfig.turnThreshold) {
+        runAutoSave('turns');
+      }
+    }, AUTO_SAVE_QUIET_MS);
+  }
+
+  // Outermost matches only: some selectors match a reply and its body
+  function countAssistantTurns() {
+    var assistantSelector = selector('assistantMessage');
+    var els = document.querySelectorAll(assistantSelector);
+    var count = 0;
+    for (var i = 0; i < els.length; i++) {
+      if (!els[i].parentElement || !els[i].parentElement.closest(assistantSelector)) count++;
+    }
+    return count;
+  }
+
+  function markAutoSaved() {
+    if (autoSaveConfig) autoSaveBaseline = countAssistantTurns();
+  }
+
+  function runAutoSave(reason) {
+    if (!autoSaveConfig || autoSaveBusy || autoSaveBaseline === null) return;
+    var saveBtn = toolbarElement('sessionlink-save-btn');
+    if (saveBtn && saveBtn.disabled) return; // a manual save is running
+
+    var turns = countAssistantTurns();
+    if (turns <= autoSaveBaseline) return;
+
+    var messages = scrapeConversation(15);
+    if (messages.length === 0) return;
     for (var i = 0; i < messages.length; i++) {
-      parts.push(messages[i].role.toUpperCase() + ': ' + sanitize(messages[i].content));
+      messages[i].content = sanitize(messages[i].content);
     }
-    var conversationText = parts.join('\n\n');
 
+    autoSaveBusy = true;
     sendMsg({
-      action: 'summarize',
-      conversation: conversationText,
+      action: 'autoSave',
+      platformId: platform.id,
+      messages: messages,
       platform: platform.name,
       url: window.location.href,
+      title: document.title,
       timestamp: new Date().toISOString()
     }, function (response) {
-      btn.innerHTML = origHTML;
-      btn.disabled = false;
-
+      autoSaveBusy = false;
       if (response && response.success) {
-        showNotification('Context saved successfully!', 'success');
-      } else {
-        var errMsg = (response && response.error) ? response.error : 'Failed to save context';
-        showNotification(errMsg, 'error');
+        autoSaveBaseline = turns;
+        if (reason === 'turns') showNotification('Conversation auto-saved.', 'info');
+      } else if (response && response.error && response.error.indexOf('Nothing new') === 0) {
+        autoSaveBaseline = turns;
+      } else if (response && !response.skipped) {
+        console.warn('SessionLink: auto-save failed', response.error);
       }
     });
   }
 
+  // ── Load lazily-rendered history ───────────────────────────────────
+  // Scrolls the conversation to the top until no more messages appear,
+  // then restores the reader's position relative to the bottom.
+  function loadFullHistory(done) {
+    var messagesSelector = selector('allMessages');
+    var scroller = findScrollContainer(document.querySelector(messagesSelector));
+    if (!scroller) {
+      done();
+      return;
+    }
+
+    var fromBottom = scroller.scrollHeight - scroller.scrollTop;
+    var lastCount = -1;
+    var stableRounds = 0;
+    var rounds = 0;
+
+    function step() {
+      var count = document.querySelectorAll(messagesSelector).length;
+      stableRounds = (count === lastCount && scroller.scrollTop === 0) ? stableRounds + 1 : 0;
+      lastCount = count;
+
+      if (stableRounds >= 2 || rounds++ >= 40) {
+        scroller.scrollTop = scroller.scrollHeight - fromBottom;
+        done();
+        return;
+      }
+
+      scroller.scrollTop = 0;
+      setTimeout(step, 700);
+    }
+
+    step();
+  }
+
+  function findScrollContainer(el) {
+    var node = el ? el.parentElement : null;
+    while (node && node !== document.body) {
+      var overflowY = window.getComputedStyle(node).overflowY;
+      if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+        return node;
+      }
+      node = node.parentElement;
+    }
+    return document.scrollingElement;
+  }
+
   // ── RESUME STATE handler ───────────────────────────────────────────
   function handleResume() {
-    var btn = document.getElementById('sessionlink-resume-btn');
+    var btn = toolbarElement('sessionlink-resume-btn');
     if (!btn || btn.disabled) return;
 
     btn.disabled = true;
@@ -326,37 +842,391 @@
       '<svg class="sessionlink-spinner" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle></svg>' +
       '<span>Loading…</span>';
 
-    sendMsg({ action: 'getLastSave' }, function (response) {
-      btn.innerHTML = origHTML;
-      btn.disabled = false;
-
-      if (!response || !response.success || !response.data) {
-        showNotification('No saved context found. Save a conversation first.', 'error');
+    sendMsg({ action: 'getAllSaves' }, function (response) {
+      if (!response || !response.success || !response.data || response.data.length === 0) {
+        btn.innerHTML = origHTML;
+        btn.disabled = false;
+        // A failed read (e.g. a locked vault) says why; an empty list gets the hint
+        showNotification(
+          response && response.error ? response.error : 'No saved context found. Save a conversation first.',
+          'error'
+        );
         return;
       }
 
-      var prompt = response.data.summary;
-      var injected = injectIntoInput(prompt);
+      var saves = response.data;
+      sendMsg({ action: 'getProjects', url: location.href }, function (projectsResponse) {
+        btn.innerHTML = origHTML;
+        btn.disabled = false;
+
+        // Projects are optional; without them the picker lists saves only
+        var projects = projectsResponse && projectsResponse.success ? projectsResponse.data : [];
+        openPicker(saves, projects, projectsResponse && projectsResponse.matchedId);
+      });
+    });
+  }
 
-      if (injected) {
-        showNotification('Context injected! Sending…', 'success');
-        simulateSend();
+  // ── Resume a whole project ─────────────────────────────────────────
+  // The background merges the project's saves into one memory (cached
+  // until they change), which is injected like a single save.
+  function resumeProject(project) {
+    var btn = toolbarElement('sessionlink-resume-btn');
+    var origHTML = btn ? btn.innerHTML : '';
+    if (btn) {
+      btn.disabled = true;
+      setBusyLabel(btn, 'Merging project…');
+    }
+
+    sendMsg({ action: 'getProjectMemory', projectId: project.id }, function (response) {
+      if (btn) {
+        btn.innerHTML = origHTML;
+        btn.disabled = false;
+      }
+      if (response && response.success) {
+        resumeSave({
+          summary: response.data.summary,
+          platform: 'project "' + response.data.name + '"',
+          timestamp: response.data.updatedAt,
+          title: response.data.name,
+          redactionMap: response.data.redactionMap
+        });
       } else {
-        // Fallback: copy to clipboard
-        navigator.clipboard.writeText(prompt).then(function () {
-          showNotification('Copied to clipboard — paste it manually.', 'info');
-        }).catch(function () {
-          showNotification('Could not inject or copy. Please paste manually.', 'error');
+        showNotification((response && response.error) || 'Could not build project memory', 'error');
+      }
+    });
+  }
+
+  // ── Inject a chosen save into the chat ─────────────────────────────
+  // The summary is wrapped in the resume template for this platform
+  // (SessionLinkUtils), so e.g. Claude gets XML tags and Gemini markdown.
+  // The platform's resume mode decides what happens next: 'auto' sends it,
+  // 'inject' only fills the input, 'preview' opens an editor first.
+  // Redacted values are put back first when the user opted in.
+  function resumeSave(save) {
+    sendMsg({ action: 'getContentSettings' }, function (response) {
+      var data = response && response.success ? response.data : {};
+      if (data.restoreRedactions && save.redactionMap) {
+        save = Object.assign({}, save, {
+          summary: SessionLinkUtils.restoreRedactions(save.summary, save.redactionMap)
         });
       }
+      var template = SessionLinkUtils.getResumeTemplate(data.resumeTemplates, platform.id);
+      var prompt = SessionLinkUtils.formatResumePrompt(save, template, platform.name);
+      var mode = (data.resumeModes || {})[platform.id] || 'auto';
+
+      if (mode === 'preview') {
+        openResumePreview(prompt);
+      } else {
+        deliverPrompt(prompt, mode === 'auto');
+      }
+    });
+  }
+
+  function deliverPrompt(prompt, send) {
+    var injected = injectIntoInput(prompt);
+
+    if (injected && send) {
+      showNotification('Context injected! Sending…', 'success');
+      simulateSend();
+    } else if (injected) {
+      showNotification('Context inserted — review it, then send.', 'success');
+    } else {
+      // Fallback: copy to clipboard
+      navigator.clipboard.writeText(prompt).then(function () {
+        showNotification('Copied to clipboard — paste it manually.', 'info');
+      }).catch(function () {
+        showNotification('Could not inject or copy. Please paste manually.', 'error');
+      });
+    }
+  }
+
+  // ── Review-and-edit modal ──────────────────────────────────────────
+  function openResumePreview(prompt) {
+    closeResumePreview();
+
+    var overlay = document.createElement('div');
+    overlay.id = 'sessionlink-resume-preview';
+    overlay.className = 'sessionlink-picker-overlay';
+    overlay.innerHTML =
+      '<div class="sessionlink-picker sessionlink-preview" role="dialog" aria-modal="true" aria-label="Review resume prompt">' +
+      '  <div class="sessionlink-picker-header">' +
+      '    <span class="sessionlink-picker-title">Review before resuming</span>' +
+      '    <button type="button" class="sessionlink-picker-close" title="Close" aria-label="Close">&times;</button>' +
+      '  </div>' +
+      '  <textarea class="sessionlink-preview-text" spellcheck="false"></textarea>' +
+      '  <div class="sessionlink-dialog-actions">' +
+      '    <button type="button" class="sessionlink-dialog-btn" data-send="false">Insert only</button>' +
+      '    <button type="button" class="sessionlink-dialog-btn sessionlink-dialog-btn-primary" data-send="true">Insert &amp; send</button>' +
+      '  </div>' +
+      '  <div class="sessionlink-picker-footer">Ctrl+Enter to insert &amp; send · Esc to cancel</div>' +
+      '</div>';
+    overlayRoot().appendChild(overlay);
+
+    var text = overlay.querySelector('.sessionlink-preview-text');
+    text.value = prompt;
+
+    function accept(send) {
+      var edited = text.value.trim();
+      closeResumePreview();
+      if (edited) deliverPrompt(edited, send);
+    }
+
+    overlay.querySelectorAll('.sessionlink-dialog-btn').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        accept(btn.getAttribute('data-send') === 'true');
+      });
+    });
+    overlay.querySelector('.sessionlink-picker-close').addEventListener('click', closeResumePreview);
+    overlay.addEventListener('click', function (e) {
+      if (e.target === overlay) closeResumePreview();
+    });
+    // Keep keystrokes away from the chat page's own shortcuts
+    overlay.addEventListener('keydown', function (e) {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        closeResumePreview();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        accept(true);
+      }
+    });
+
+    text.focus();
+    text.setSelectionRange(0, 0);
+    text.scrollTop = 0;
+  }
+
+  function closeResumePreview() {
+    var existing = overlayElement('sessionlink-resume-preview');
+    if (existing) existing.remove();
+  }
+
+  // ── Save picker overlay ────────────────────────────────────────────
+  // Projects with saves are listed above the saves; the one matching the
+  // current page (matchedId) comes first and is preselected.
+  function openPicker(saves, projects, matchedId) {
+    closePicker();
+
+    var projectEntries = (projects || []).filter(function (project) {
+      return project.saveCount > 0;
+    }).sort(function (a, b) {
+      return (b.id === matchedId ? 1 : 0) - (a.id === matchedId ? 1 : 0);
+    }).map(function (project) {
+      return { project: project };
+    });
+    var entries = projectEntries.concat(saves);
+
+    var overlay = document.createElement('div');
+    overlay.id = 'sessionlink-picker';
+    overlay.className = 'sessionlink-picker-overlay';
+    overlay.innerHTML =
+      '<div class="sessionlink-picker" role="dialog" aria-modal="true" aria-label="Choose a saved state">' +
+      '  <div class="sessionlink-picker-header">' +
+      '    <span class="sessionlink-picker-title">Resume from a saved state</span>' +
+      '    <button type="button" class="sessionlink-picker-close" title="Close" aria-label="Close">&times;</button>' +
+      '  </div>' +
+      '  <input type="search" class="sessionlink-picker-search" placeholder="Search saves…" autocomplete="off">' +
+      '  <ul class="sessionlink-picker-list" role="listbox"></ul>' +
+      '  <div class="sessionlink-picker-footer">↑↓ to navigate · Enter to resume · Esc to close</div>' +
+      '</div>';
+    overlayRoot().appendChild(overlay);
+
+    var search = overlay.querySelector('.sessionlink-picker-search');
+    var list = overlay.querySelector('.sessionlink-picker-list');
+    var visible = entries;
+    var activeIndex = 0;
+
+    function renderProject(project, i) {
+      return '<li class="sessionlink-picker-item sessionlink-picker-project' + (i === activeIndex ? ' active' : '') + '" role="option" data-index="' + i + '">' +
+        '  <div class="sessionlink-picker-item-header">' +
+        '    <span class="sessionlink-picker-platform">Project' + (project.id === matchedId ? ' · this page' : '') + '</span>' +
+        '    <span class="sessionlink-picker-time">' + project.saveCount + ' save' + (project.saveCount !== 1 ? 's' : '') + '</span>' +
+        '  </div>' +
+        '  <div class="sessionlink-picker-item-title">' + escapeHtml(project.name) + '</div>' +
+        '  <div class="sessionlink-picker-preview">Resume with the merged memory of all its saves</div>' +
+        '</li>';
+    }
+
+    function render() {
+      if (visible.length === 0) {
+        list.innerHTML = '<li class="sessionlink-picker-empty">No saves match your search.</li>';
+        return;
+      }
+      list.innerHTML = visible.map(function (save, i) {
+        if (save.project) return renderProject(save.project, i);
+        var tags = save.tags || [];
+        return '<li class="sessionlink-picker-item' + (i === activeIndex ? ' active' : '') + '" role="option" data-index="' + i + '">' +
+          '  <div class="sessionlink-picker-item-header">' +
+          '    <span class="sessionlink-picker-platform">' + escapeHtml(save.platform || 'Unknown') + '</span>' +
+          '    <span class="sessionlink-picker-meta">' +
+          '      <span class="sessionlink-picker-time">' + escapeHtml(formatRelativeTime(save.timestamp)) + '</span>' +
+          '      <button type="button" class="sessionlink-picker-pin' + (save.pinned ? ' active' : '') + '" data-index="' + i + '" title="' +
+                   (save.pinned ? 'Unpin' : 'Pin') + '">' + (save.pinned ? '★' : '☆') + '</button>' +
+          '    </span>' +
+          '  </div>' +
+          (save.title ? '  <div class="sessionlink-picker-item-title">' + escapeHtml(save.title) + '</div>' : '') +
+          (tags.length ? '  <div class="sessionlink-picker-tags">' + tags.map(function (t) {
+            return '<span class="sessionlink-picker-tag">' + escapeHtml(t) + '</span>';
+          }).join('') + '</div>' : '') +
+          '  <div class="sessionlink-picker-preview">' + escapeHtml(save.preview || (save.summary || '').substring(0, 120)) + '</div>' +
+          '</li>';
+      }).join('');
+
+      var active = list.querySelector('.sessionlink-picker-item.active');
+      if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    function applyFilter() {
+      var query = search.value.trim().toLowerCase();
+      visible = entries.filter(function (save) {
+        if (!query) return true;
+        var haystack = save.project
+          ? save.project.name.toLowerCase()
+          : [save.platform, save.title, (save.tags || []).join(' '), save.summary].join(' ').toLowerCase();
+        return haystack.indexOf(query) !== -1;
+      });
+      activeIndex = 0;
+      render();
+    }
+
+    function togglePin(save) {
+      if (!save) return;
+      sendMsg({ action: 'updateSave', id: save.id, changes: { pinned: !save.pinned } }, function (response) {
+        if (response && response.success) {
+          save.pinned = response.data.pinned;
+          render();
+        } else {
+          showNotification((response && response.error) || 'Could not update save', 'error');
+        }
+      });
+    }
+
+    function choose(index) {
+      var save = visible[index];
+      if (!save) return;
+      closePicker();
+      if (save.project) {
+        resumeProject(save.project);
+      } else {
+        resumeSave(save);
+      }
+    }
+
+    search.addEventListener('input', applyFilter);
+    search.addEventListener('keydown', function (e) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        if (activeIndex < visible.length - 1) activeIndex++;
+        render();
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (activeIndex > 0) activeIndex--;
+        render();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        choose(activeIndex);
+      }
+    });
+
+    list.addEventListener('click', function (e) {
+      var pin = e.target.closest('.sessionlink-picker-pin');
+      if (pin) {
+        e.stopPropagation();
+        togglePin(visible[parseInt(pin.getAttribute('data-index'), 10)]);
+        return;
+      }
+      var item = e.target.closest('.sessionlink-picker-item');
+      if (item) choose(parseInt(item.getAttribute('data-index'), 10));
+    });
+
+    overlay.querySelector('.sessionlink-picker-close').addEventListener('click', closePicker);
+    overlay.addEventListener('click', function (e) {
+      if (e.target === overlay) closePicker();
+    });
+    overlay.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        closePicker();
+      }
+    });
+
+    render();
+    search.focus();
+  }
+
+  function closePicker() {
+    var existing = overlayElement('sessionlink-picker');
+    if (existing) existing.remove();
+  }
+
+  // ── Relative time ("5 mins ago") ───────────────────────────────────
+  function formatRelativeTime(timestamp) {
+    if (!timestamp) return 'Unknown';
+    var date = new Date(timestamp);
+    var diff = Date.now() - date.getTime();
+
+    if (diff < 60000) return 'Just now';
+    if (diff < 3600000) {
+      var mins = Math.floor(diff / 60000);
+      return mins + ' min' + (mins > 1 ? 's' : '') + ' ago';
+    }
+    if (diff < 86400000) {
+      var hours = Math.floor(diff / 3600000);
+      return hours + ' hour' + (hours > 1 ? 's' : '') + ' ago';
+    }
+    if (diff < 604800000) {
+      var days = Math.floor(diff / 86400000);
+      return days + ' day' + (days > 1 ? 's' : '') + ' ago';
+    }
+    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+
+  // ── Keyboard shortcuts and context menu ───────────────────────────
+  // The background forwards `commands` and context-menu clicks here. They
+  // go through the same handlers as the floating buttons, which are put
+  // back first in case the page re-rendered over them.
+  chrome.runtime.onMessage.addListener(function (message) {
+    if (message.action !== 'runCommand' || !platform) return;
+    injectButtons();
+
+    switch (message.command) {
+      case 'save-state':
+        handleSave();
+        break;
+      case 'resume-last':
+        resumeLatest();
+        break;
+      case 'open-picker':
+        handleResume();
+        break;
+      case 'resume-save':
+        resumeById(message.saveId);
+        break;
+    }
+  });
+
+  function resumeLatest() {
+    sendMsg({ action: 'getLastSave' }, function (response) {
+      if (response && response.success) {
+        resumeSave(response.data);
+      } else {
+        showNotification((response && response.error) || 'No saved context found. Save a conversation first.', 'error');
+      }
+    });
+  }
+
+  function resumeById(id) {
+    sendMsg({ action: 'getSave', id: id }, function (response) {
+      if (response && response.success) {
+        resumeSave(response.data);
+      } else {
+        showNotification((response && response.error) || 'Saved state not found', 'error');
+      }
     });
   }
 
   // ── Create UI elements ─────────────────────────────────────────────
   function createContainer() {
-    var old = document.getElementById('sessionlink-container');
-    if (old) old.remove();
-
     var container = document.createElement('div');
     container.id = 'sessionlink-container';
     container.className = 'sessionlink-floating-container';
@@ -375,15 +1245,94 @@
       '<polyline points="7 3 7 8 15 8"></polyline>' +
       '</svg>' +
       '<span>Save State</span>';
-    btn.addEventListener('click', handleSave);
+    btn.addEventListener('click', function () { handleSave(); });
+    return btn;
+  }
+
+  // Caret next to Save State: pick a prompt template for this save only
+  function createTemplateMenuButton() {
+    var btn = document.createElement('button');
+    btn.id = 'sessionlink-template-btn';
+    btn.className = 'sessionlink-btn sessionlink-save-btn sessionlink-caret-btn';
+    btn.title = 'Save with a specific prompt template';
+    btn.setAttribute('aria-haspopup', 'menu');
+    btn.innerHTML =
+      '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
+      '<polyline points="18 15 12 9 6 15"></polyline>' +
+      '</svg>';
+    btn.addEventListener('click', function (e) {
+      e.stopPropagation();
+      toggleTemplateMenu();
+    });
     return btn;
   }
 
+  // ── Template menu ──────────────────────────────────────────────────
+  function toggleTemplateMenu() {
+    if (toolbarElement('sessionlink-template-menu')) {
+      closeTemplateMenu();
+      return;
+    }
+
+    sendMsg({ action: 'getTemplates' }, function (response) {
+      if (!response || !response.success) {
+        showNotification((response && response.error) || 'Could not load templates', 'error');
+        return;
+      }
+
+      var container = toolbarElement('sessionlink-container');
+      if (!container) return;
+
+      var menu = document.createElement('div');
+      menu.id = 'sessionlink-template-menu';
+      menu.className = 'sessionlink-menu';
+      menu.setAttribute('role', 'menu');
+      menu.innerHTML =
+        '<div class="sessionlink-menu-title">Save with template</div>' +
+        response.data.templates.map(function (t) {
+          var isDefault = t.id === response.data.activeTemplateId;
+          return '<button type="button" class="sessionlink-menu-item" role="menuitem" data-id="' + escapeHtml(t.id) + '">' +
+            escapeHtml(t.name) + (isDefault ? ' <span class="sessionlink-menu-badge">default</span>' : '') +
+            '</button>';
+        }).join('') +
+        '<div class="sessionlink-menu-separator"></div>' +
+        '<button type="button" class="sessionlink-menu-item" role="menuitem" data-transcript="true">' +
+        'Transcript only <span class="sessionlink-menu-badge">no AI</span></button>';
+
+      menu.addEventListener('click', function (e) {
+        var item = e.target.closest('.sessionlink-menu-item');
+        if (!item) return;
+        closeTemplateMenu();
+        if (item.hasAttribute('data-transcript')) {
+          handleSaveTranscript();
+        } else {
+          handleSave(item.getAttribute('data-id'));
+        }
+      });
+
+      positionMenu(menu, container);
+      container.appendChild(menu);
+      document.addEventListener('click', closeTemplateMenu);
+      document.addEventListener('keydown', onTemplateMenuKey);
+    });
+  }
+
+  function onTemplateMenuKey(e) {
+    if (e.key === 'Escape') closeTemplateMenu();
+  }
+
+  function closeTemplateMenu() {
+    var menu = toolbarElement('sessionlink-template-menu');
+    if (menu) menu.remove();
+    document.removeEventListener('click', closeTemplateMenu);
+    document.removeEventListener('keydown', onTemplateMenuKey);
+  }
+
   function createResumeButton() {
     var btn = document.createElement('button');
     btn.id = 'sessionlink-resume-btn';
     btn.className = 'sessionlink-btn sessionlink-resume-btn';
-    btn.title = 'Resume from last saved context';
+    btn.title = 'Choose a saved context to resume';
     btn.innerHTML =
       '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
       '<polyline points="1 4 1 10 7 10"></polyline>' +
@@ -395,17 +1344,226 @@
   }
 
   // ── Inject buttons into page ───────────────────────────────────────
+  // The toolbar lives in a shadow root on a host element with its own copy
+  // of ui/styles.css, so page styles and ours can't collide; nothing of
+  // ours is styled in the page's own document. A hidden
+  // toolbar is still built: shortcuts and the context menu drive the same
+  // buttons.
   function injectButtons() {
-    // Don't double-inject
-    if (document.getElementById('sessionlink-container')) return;
+    // Don't double-inject; SPA navigations may have removed the host
+    if (document.getElementById(TOOLBAR_HOST_ID)) return;
+
+    var host = document.createElement('div');
+    host.id = TOOLBAR_HOST_ID;
+    host.style.cssText = 'all: initial;';
+    toolbarRoot = host.attachShadow({ mode: 'open' });
+
+    var style = document.createElement('style');
+    style.textContent = toolbarStyles;
+    toolbarRoot.appendChild(style);
 
     var container = createContainer();
-    container.appendChild(createSaveButton());
+    var saveGroup = document.createElement('div');
+    saveGroup.className = 'sessionlink-btn-group';
+    saveGroup.appendChild(createSaveButton());
+    saveGroup.appendChild(createTemplateMenuButton());
+    container.appendChild(createToolbarHandle(container));
+    container.appendChild(saveGroup);
     container.appendChild(createResumeButton());
-    document.body.appendChild(container);
+    container.appendChild(createExpandButton(container));
+    toolbarRoot.appendChild(container);
+    document.body.appendChild(host);
+    applyToolbarLayout();
     console.log('SessionLink: buttons injected on ' + platform.name);
   }
 
+  // ── Floating toolbar: dragging, docking, collapsing, hiding ───────
+  // Dragging by the grip (or the collapsed icon) moves the toolbar freely;
+  // on release it snaps to the nearest viewport edge. The layout is kept
+  // as that edge plus a 0–1 offset along it, so it survives resizes, and
+  // is stored per platform by the background.
+  var TOOLBAR_HOST_ID = 'sessionlink-toolbar';
+  var TOOLBAR_MARGIN = 16;
+  var DRAG_THRESHOLD = 4;
+  var DEFAULT_TOOLBAR_LAYOUT = { edge: 'right', offset: 0.5, collapsed: false, hidden: false };
+
+  var toolbarRoot = null;
+  var toolbarStyles = '';
+  var toolbarLayout = Object.assign({}, DEFAULT_TOOLBAR_LAYOUT);
+  var justDragged = false;
+
+  function toolbarElement(id) {
+    return toolbarRoot ? toolbarRoot.getElementById(id) : null;
+  }
+
+  function createToolbarHandle(container) {
+    var handle = document.createElement('div');
+    handle.className = 'sessionlink-toolbar-handle';
+    handle.innerHTML =
+      '<span class="sessionlink-toolbar-grip" title="Drag to move">' +
+      '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="currentColor">' +
+      '<circle cx="9" cy="6" r="1.5"></circle><circle cx="15" cy="6" r="1.5"></circle>' +
+      '<circle cx="9" cy="12" r="1.5"></circle><circle cx="15" cy="12" r="1.5"></circle>' +
+      '<circle cx="9" cy="18" r="1.5"></circle><circle cx="15" cy="18" r="1.5"></circle>' +
+      '</svg></span>' +
+      '<button type="button" class="sessionlink-toolbar-action" data-toolbar="collapse" title="Collapse" aria-label="Collapse toolbar">' +
+      '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="5" y1="12" x2="19" y2="12"></line></svg>' +
+      '</button>' +
+      '<button type="button" class="sessionlink-toolbar-action" data-toolbar="hide" title="Hide on this site" aria-label="Hide toolbar on this site">' +
+      '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>' +
+      '</button>';
+
+    handle.addEventListener('click', function (e) {
+      var action = e.target.closest('[data-toolbar]');
+      if (!action) return;
+      closeTemplateMenu();
+      if (action.getAttribute('data-toolbar') === 'collapse') {
+        updateToolbarLayout({ collapsed: true });
+      } else {
+        updateToolbarLayout({ hidden: true });
+        showNotification('Toolbar hidden on ' + platform.name + '. Shortcuts and the right-click menu still work; show it again from the SessionLink popup.', 'info');
+      }
+    });
+    enableDragging(container, handle.querySelector('.sessionlink-toolbar-grip'));
+    return handle;
+  }
+
+  // Stands in for the whole toolbar when collapsed
+  function createExpandButton(container) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'sessionlink-btn sessionlink-toolbar-icon';
+    btn.title = 'SessionLink: click to expand, drag to move';
+    btn.setAttribute('aria-label', 'Expand SessionLink toolbar');
+    btn.innerHTML =
+      '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
+      '<path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>' +
+      '<path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>' +
+      '</svg>';
+    btn.addEventListener('click', function () {
+      if (!justDragged) updateToolbarLayout({ collapsed: false });
+    });
+    enableDragging(container, btn);
+    return btn;
+  }
+
+  function enableDragging(container, grip) {
+    grip.addEventListener('pointerdown', function (e) {
+      if (e.button !== 0) return;
+      var rect = container.getBoundingClientRect();
+      var startX = e.clientX;
+      var startY = e.clientY;
+      var moved = false;
+      if (grip.setPointerCapture) grip.setPointerCapture(e.pointerId);
+
+      function onMove(ev) {
+        var dx = ev.clientX - startX;
+        var dy = ev.clientY - startY;
+        if (!moved && Math.abs(dx) + Math.abs(dy) < DRAG_THRESHOLD) return;
+        if (!moved) {
+          moved = true;
+          closeTemplateMenu();
+          container.classList.add('sessionlink-dragging');
+        }
+        setToolbarPosition(container,
+          clamp(rect.left + dx, 0, window.innerWidth - rect.width),
+          clamp(rect.top + dy, 0, window.innerHeight - rect.height));
+      }
+
+      function onUp() {
+        grip.removeEventListener('pointermove', onMove);
+        grip.removeEventListener('pointerup', onUp);
+        grip.removeEventListener('pointercancel', onUp);
+        if (!moved) return;
+        container.classList.remove('sessionlink-dragging');
+        // The click that follows a drag must not expand the collapsed icon
+        justDragged = true;
+        setTimeout(function () { justDragged = false; }, 0);
+        snapToEdge(container);
+      }
+
+      grip.addEventListener('pointermove', onMove);
+      grip.addEventListener('pointerup', onUp);
+      grip.addEventListener('pointercancel', onUp);
+    });
+  }
+
+  function snapToEdge(container) {
+    var rect = container.getBoundingClientRect();
+    var distances = {
+      left: rect.left,
+      right: window.innerWidth - rect.right,
+      top: rect.top,
+      bottom: window.innerHeight - rect.bottom
+    };
+    var edge = Object.keys(distances).reduce(function (best, side) {
+      return distances[side] < distances[best] ? side : best;
+    });
+    var horizontal = edge === 'top' || edge === 'bottom';
+    var room = (horizontal ? window.innerWidth - rect.width : window.innerHeight - rect.height) - 2 * TOOLBAR_MARGIN;
+    var start = (horizontal ? rect.left : rect.top) - TOOLBAR_MARGIN;
+    updateToolbarLayout({ edge: edge, offset: room > 0 ? clamp(start / room, 0, 1) : 0 });
+  }
+
+  function updateToolbarLayout(changes) {
+    Object.assign(toolbarLayout, changes);
+    applyToolbarLayout();
+    sendMsg({ action: 'saveToolbarLayout', platformId: platform.id, layout: toolbarLayout });
+  }
+
+  function applyToolbarLayout() {
+    var host = document.getElementById(TOOLBAR_HOST_ID);
+    var container = toolbarElement('sessionlink-container');
+    if (!host || !container) return;
+
+    host.style.display = toolbarLayout.hidden ? 'none' : '';
+    container.className = 'sessionlink-floating-container sessionlink-dock-' + toolbarLayout.edge +
+      (toolbarLayout.collapsed ? ' sessionlink-collapsed' : '');
+    placeToolbar(container);
+  }
+
+  // Anchored to its edge with right/bottom where needed, so busy labels
+  // grow away from the edge instead of off-screen
+  function placeToolbar(container) {
+    var rect = container.getBoundingClientRect();
+    var edge = toolbarLayout.edge;
+    var horizontal = edge === 'top' || edge === 'bottom';
+    var room = (horizontal ? window.innerWidth - rect.width : window.innerHeight - rect.height) - 2 * TOOLBAR_MARGIN;
+    var along = TOOLBAR_MARGIN + toolbarLayout.offset * Math.max(0, room) + 'px';
+
+    container.style.left = edge === 'left' ? TOOLBAR_MARGIN + 'px' : horizontal ? along : 'auto';
+    container.style.right = edge === 'right' ? TOOLBAR_MARGIN + 'px' : 'auto';
+    container.style.top = edge === 'top' ? TOOLBAR_MARGIN + 'px' : horizontal ? 'auto' : along;
+    container.style.bottom = edge === 'bottom' ? TOOLBAR_MARGIN + 'px' : 'auto';
+  }
+
+  function setToolbarPosition(container, left, top) {
+    container.style.left = left + 'px';
+    container.style.top = top + 'px';
+    container.style.right = 'auto';
+    container.style.bottom = 'auto';
+  }
+
+  // The template menu opens away from the edge and towards the middle
+  function positionMenu(menu, container) {
+    var rect = container.getBoundingClientRect();
+    var horizontal = toolbarLayout.edge === 'top' || toolbarLayout.edge === 'bottom';
+    if (horizontal) {
+      menu.style[rect.left + rect.width / 2 > window.innerWidth / 2 ? 'right' : 'left'] = '0';
+    } else {
+      menu.style[rect.top + rect.height / 2 > window.innerHeight / 2 ? 'bottom' : 'top'] = '0';
+    }
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), Math.max(min, max));
+  }
+
+  window.addEventListener('resize', function () {
+    var container = toolbarElement('sessionlink-container');
+    if (container) placeToolbar(container);
+  });
+
   // ── Initialise with retry ──────────────────────────────────────────
   function initialize() {
     var attempts = 0;
@@ -413,14 +1571,54 @@
 
     var timer = setInterval(function () {
       attempts++;
-      var area = document.querySelector(platform.selectors.conversationArea);
+      var area = platform.selectors.conversationArea && document.querySelector(selector('conversationArea'));
       if (area || document.readyState === 'complete' || attempts >= maxAttempts) {
         clearInterval(timer);
         injectButtons();
+        setupAutoSave();
+        setTimeout(checkAdapterHealth, HEALTH_CHECK_DELAY_MS);
       }
     }, 500);
   }
 
+  // ── Adapter health check ───────────────────────────────────────────
+  // Records which strategy matched for each selector field (-1 = none) so
+  // the popup can show when a site's markup has drifted from its adapter.
+  // Runs once per page load, after the conversation has had time to render.
+  var HEALTH_CHECK_DELAY_MS = 4000;
+
+  function checkAdapterHealth() {
+    var fields = {};
+    Object.keys(platform.selectors).forEach(function (field) {
+      fields[field] = matchedStrategy(field, document);
+    });
+
+    // Message bodies are looked for inside the first message
+    if (platform.selectors.messageContent) {
+      var first = document.querySelector(selector('allMessages'));
+      fields.messageContent = first ? matchedStrategy('messageContent', first) : -1;
+    }
+
+    var missing = Object.keys(fields).filter(function (field) {
+      return fields[field] === -1 && SessionLinkAdapters.FIELDS[field];
+    });
+    if (missing.length > 0) {
+      console.warn('SessionLink: ' + platform.name + ' adapter v' + platform.version + ' found nothing for ' + missing.join(', '));
+    }
+
+    sendMsg({
+      action: 'reportAdapterHealth',
+      report: {
+        adapterId: platform.id,
+        version: platform.version,
+        source: platform.source,
+        url: window.location.origin + window.location.pathname,
+        checkedAt: new Date().toISOString(),
+        fields: fields
+      }
+    });
+  }
+
   // ── Watch for SPA navigation ───────────────────────────────────────
   function watchNavigation() {
     var lastUrl = window.location.href;
@@ -428,16 +1626,44 @@
       if (window.location.href !== lastUrl) {
         lastUrl = window.location.href;
         console.log('SessionLink: SPA navigation detected');
+        autoSaveBaseline = null;
         setTimeout(function () {
           injectButtons();
         }, 1500);
       }
+      scheduleAutoSaveCheck();
     });
     observer.observe(document.documentElement, { childList: true, subtree: true });
   }
 
   // ── Boot ───────────────────────────────────────────────────────────
-  initialize();
-  watchNavigation();
+  // Imported adapters may replace the built-in ones, and custom sites add
+  // their own, so they are loaded before the platform is detected.
+  sendMsg({ action: 'getAdapters' }, function (response) {
+    var data = response.success ? response.data : {};
+    var adapters = SessionLinkAdapters.resolve(data.imported, data.custom);
+    var adapter = SessionLinkAdapters.forHost(adapters, window.location.hostname);
+    if (!adapter) return;
+
+    platform = {
+      id: adapter.id,
+      name: adapter.name,
+      version: adapter.version,
+      source: adapter.source,
+      selectors: adapter.selectors
+    };
+    console.log('SessionLink: detected ' + platform.name + ' (adapter v' + platform.version + ', ' + platform.source + ')');
+
+    sendMsg({ action: 'getToolbar', platformId: platform.id }, function (toolbarResponse) {
+      if (toolbarResponse.success) {
+        toolbarStyles = toolbarResponse.data.styles;
+        Object.assign(toolbarLayout, toolbarResponse.data.layout);
+      } else {
+        console.warn('SessionLink: toolbar styles unavailable', toolbarResponse.error);
+      }
+      initialize();
+      watchNavigation();
+    });
+  });
 
 })();
@@ -0,0 +1,218 @@
+/**
+ * SessionLink Selector Picker
+ * Injected into the active tab from the popup ("Pick on current page").
+ * Walks the user through clicking one of their messages, a reply, the
+ * input box and the send button, turns each click into a CSS selector
+ * and hands the result to the background as a draft custom site. The
+ * popup picks the draft up the next time it opens.
+ */
+
+(function () {
+  'use strict';
+
+  if (window.__sessionLinkPicker) return;
+  window.__sessionLinkPicker = true;
+
+  var STEPS = [
+    { field: 'userMessage', label: 'Click one of your own messages' },
+    { field: 'assistantMessage', label: 'Click one of the assistant\u2019s replies' },
+    { field: 'inputArea', label: 'Click the box where you type' },
+    { field: 'sendButton', label: 'Click the send button', optional: true }
+  ];
+  var Z = 2147483647;
+
+  var step = 0;
+  var picked = {};
+  var hovered = null;
+
+  // ── Overlay ────────────────────────────────────────────────────────
+  var highlight = document.createElement('div');
+  highlight.style.cssText =
+    'position:fixed;pointer-events:none;z-index:' + Z + ';border:2px solid #6366f1;' +
+    'background:rgba(99,102,241,0.12);border-radius:4px;display:none;';
+
+  var bar = document.createElement('div');
+  bar.style.cssText =
+    'position:fixed;top:12px;left:50%;transform:translateX(-50%);z-index:' + Z + ';' +
+    'display:flex;align-items:center;gap:10px;padding:10px 14px;border-radius:10px;' +
+    'background:#1e293b;color:#f1f5f9;font:13px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;' +
+    'box-shadow:0 8px 24px rgba(0,0,0,0.3);';
+
+  var text = document.createElement('span');
+  var skipBtn = makeButton('Skip');
+  var cancelBtn = makeButton('Cancel');
+  bar.appendChild(text);
+  bar.appendChild(skipBtn);
+  bar.appendChild(cancelBtn);
+
+  function makeButton(label) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.style.cssText =
+      'all:unset;cursor:pointer;padding:3px 10px;border-radius:6px;' +
+      'background:#334155;color:#f1f5f9;font-size:12px;';
+    return btn;
+  }
+
+  function showStep() {
+    var current = STEPS[step];
+    text.textContent = 'SessionLink (' + (step + 1) + '/' + STEPS.length + '): ' + current.label;
+    skipBtn.style.display = current.optional ? '' : 'none';
+  }
+
+  // ── Events ─────────────────────────────────────────────────────────
+  function isOwn(el) {
+    return el === bar || bar.contains(el);
+  }
+
+  function onMove(e) {
+    if (isOwn(e.target)) return;
+    hovered = targetFor(STEPS[step].field, e.target);
+    var rect = hovered.getBoundingClientRect();
+    highlight.style.display = 'block';
+    highlight.style.top = rect.top + 'px';
+    highlight.style.left = rect.left + 'px';
+    highlight.style.width = rect.width + 'px';
+    highlight.style.height = rect.height + 'px';
+  }
+
+  // Swallow the page's own handling so clicks don't send or navigate
+  function onClick(e) {
+    if (isOwn(e.target)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    picked[STEPS[step].field] = targetFor(STEPS[step].field, e.target);
+    next();
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+    }
+  }
+
+  function next() {
+    step++;
+    if (step < STEPS.length) {
+      showStep();
+    } else {
+      finish(true);
+    }
+  }
+
+  skipBtn.addEventListener('click', next);
+  cancelBtn.addEventListener('click', function () { finish(false); });
+
+  function finish(save) {
+    document.removeEventListener('mousemove', onMove, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKey, true);
+    highlight.remove();
+    bar.remove();
+    window.__sessionLinkPicker = false;
+    if (!save) return;
+
+    var draft = {
+      host: window.location.hostname,
+      name: siteName(),
+      selectors: buildSelectors()
+    };
+    chrome.runtime.sendMessage({ action: 'saveSiteDraft', draft: draft }, function (response) {
+      var ok = !chrome.runtime.lastError && response && response.success;
+      toast(ok
+        ? 'Selectors captured. Open SessionLink to review them and add this site.'
+        : 'SessionLink could not store the picked selectors.');
+    });
+  }
+
+  function toast(message) {
+    var el = document.createElement('div');
+    el.textContent = message;
+    el.style.cssText = bar.style.cssText;
+    document.body.appendChild(el);
+    setTimeout(function () { el.remove(); }, 5000);
+  }
+
+  // ── Selector building ──────────────────────────────────────────────
+  // Inputs and buttons are taken as clicked; messages are resolved once
+  // both have been picked, since a good message selector is one that
+  // matches the clicked message but not the other role's.
+  function targetFor(field, el) {
+    if (field === 'inputArea') {
+      return el.closest('textarea, input, [contenteditable="true"]') || el;
+    }
+    if (field === 'sendButton') {
+      return el.closest('button, [role="button"]') || el;
+    }
+    return el;
+  }
+
+  function buildSelectors() {
+    var selectors = {};
+    var user = picked.userMessage;
+    var assistant = picked.assistantMessage;
+    if (user) selectors.userMessage = messageSelector(user, assistant);
+    if (assistant) selectors.assistantMessage = messageSelector(assistant, user);
+    if (picked.inputArea) selectors.inputArea = uniqueSelector(picked.inputArea);
+    if (picked.sendButton) selectors.sendButton = uniqueSelector(picked.sendButton);
+    return selectors;
+  }
+
+  // Outermost candidate that doesn't also cover the other message: that
+  // is the message wrapper rather than a paragraph inside it
+  function messageSelector(el, other) {
+    var candidates = candidatesFor(el).reverse();
+    for (var i = 0; i < candidates.length; i++) {
+      if (!other || !other.closest(candidates[i])) return candidates[i];
+    }
+    return '';
+  }
+
+  function uniqueSelector(el) {
+    var candidates = candidatesFor(el);
+    for (var i = 0; i < candidates.length; i++) {
+      if (document.querySelectorAll(candidates[i]).length === 1) return candidates[i];
+    }
+    return candidates[0] || el.tagName.toLowerCase();
+  }
+
+  // Selectors built from attributes and classes of el and its ancestors,
+  // innermost first. Values with long digit runs look generated, so skip them.
+  function candidatesFor(el) {
+    var out = [];
+    for (var node = el; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+      var tag = node.tagName.toLowerCase();
+      if (node.id && isStable(node.id)) out.push('#' + CSS.escape(node.id));
+      for (var i = 0; i < node.attributes.length; i++) {
+        var attr = node.attributes[i];
+        var usable = /^data-/.test(attr.name) || ['role', 'name', 'aria-label', 'placeholder'].indexOf(attr.name) !== -1;
+        if (usable && attr.value && attr.value.length <= 60 && isStable(attr.value)) {
+          out.push(tag + '[' + attr.name + '="' + attr.value.replace(/["\\]/g, '\\$&') + '"]');
+        }
+      }
+      var classes = Array.prototype.filter.call(node.classList, isStable).slice(0, 2);
+      if (classes.length) out.push(tag + '.' + classes.map(CSS.escape).join('.'));
+    }
+    return out;
+  }
+
+  function isStable(value) {
+    return !/\d{4,}/.test(value) && value.length < 40;
+  }
+
+  function siteName() {
+    var parts = window.location.hostname.replace(/^www\./, '').split('.');
+    var name = parts.length > 2 ? parts[0] : parts[parts.length - 2] || parts[0];
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  // ── Start ──────────────────────────────────────────────────────────
+  document.body.appendChild(highlight);
+  document.body.appendChild(bar);
+  document.addEventListener('mousemove', onMove, true);
+  document.addEventListener('click', onClick, true);
+  document.addEventListener('keydown', onKey, true);
+  showStep();
+})();
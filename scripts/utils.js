@@ -130,20 +130,96 @@
     });
   };
 
+  /**
+   * Default resume templates, keyed by target platform id.
+   * Each has a preamble, a wrapper around the summary ({summary}) and
+   * closing instructions. All three accept {platform}, {date}, {title}
+   * and {target}; empty parts are left out.
+   */
+  SessionLinkUtils.DEFAULT_RESUME_TEMPLATES = {
+    default: {
+      preamble: '[SessionLink Context Restore - {platform}]\nSaved: {date}',
+      wrapper: '{summary}',
+      instructions: ''
+    },
+    chatgpt: {
+      preamble: 'Context restored from a previous conversation on {platform} (saved {date}). ' +
+        'It is delimited by triple quotes.',
+      wrapper: '"""\n{summary}\n"""',
+      instructions: 'Use this context to continue the work. Briefly confirm where things stand, ' +
+        'then continue with the next step.'
+    },
+    claude: {
+      preamble: 'I am continuing work from an earlier conversation on {platform}, saved {date}. ' +
+        'The handoff is inside the <context> tags.',
+      wrapper: '<context source="{platform}" saved="{date}">\n{summary}\n</context>',
+      instructions: '<instructions>\nTreat the context as established background. Briefly confirm ' +
+        'your understanding of where things stand, then continue with the next step.\n</instructions>'
+    },
+    gemini: {
+      preamble: '## Context from a previous conversation\n_Source: {platform} · Saved: {date}_',
+      wrapper: '{summary}',
+      instructions: '---\nUse the context above to pick up where we left off. Start with a short ' +
+        'recap of the current status and the next step.'
+    }
+  };
+
+  /**
+   * Resolve the resume template for a target platform
+   * @param {object} overrides - User-edited templates keyed by platform id (settings.resumeTemplates)
+   * @param {string} target - Platform id of the chat being resumed into
+   * @returns {object} - Template with preamble, wrapper and instructions
+   */
+  SessionLinkUtils.getResumeTemplate = function(overrides, target) {
+    const defaults = SessionLinkUtils.DEFAULT_RESUME_TEMPLATES;
+    overrides = overrides || {};
+    return overrides[target] || defaults[target] || overrides.default || defaults.default;
+  };
+
   /**
    * Format a resume prompt from conversation data
    * @param {object} data - Summary data object
+   * @param {object} [template] - Resume template; defaults to the generic one
+   * @param {string} [target] - Name of the platform being resumed into
    * @returns {string} - Formatted resume prompt
    */
-  SessionLinkUtils.formatResumePrompt = function(data) {
+  SessionLinkUtils.formatResumePrompt = function(data, template, target) {
     if (!data || !data.summary) {
       return '';
     }
 
-    const header = `[SessionLink Context Restore - ${data.platform || 'Unknown Platform'}]`;
-    const timestamp = data.timestamp ? `Saved: ${new Date(data.timestamp).toLocaleString()}` : '';
-    
-    return `${header}\n${timestamp}\n\n${data.summary}`;
+    template = template || SessionLinkUtils.DEFAULT_RESUME_TEMPLATES.default;
+    const values = {
+      platform: data.platform || 'Unknown Platform',
+      date: data.timestamp ? new Date(data.timestamp).toLocaleString() : 'unknown date',
+      title: data.title || '',
+      target: target || '',
+      summary: data.summary
+    };
+    const fill = (text) => String(text || '').replace(/\{(platform|date|title|target|summary)\}/g, (match, key) => values[key]);
+
+    // The wrapper must keep the summary even if someone deletes the placeholder
+    const wrapper = template.wrapper && template.wrapper.indexOf('{summary}') !== -1 ? template.wrapper : '{summary}';
+
+    return [fill(template.preamble), fill(wrapper), fill(template.instructions)]
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .join('\n\n');
+  };
+
+  /**
+   * Put redacted values back into a summary, e.g. [REDACTED_EMAIL_1]
+   * @param {string} text - Text containing redaction placeholders
+   * @param {object} map - Placeholder to original value (save.redactionMap)
+   * @returns {string} - Text with the original values restored
+   */
+  SessionLinkUtils.restoreRedactions = function(text, map) {
+    if (!text || !map) {
+      return text || '';
+    }
+    return text.replace(/\[REDACTED_[A-Z_]+_\d+\]/g, (placeholder) => {
+      return Object.prototype.hasOwnProperty.call(map, placeholder) ? map[placeholder] : placeholder;
+    });
   };
 
   /**
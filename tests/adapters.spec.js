@@ -0,0 +1,238 @@
+/**
+ * Platform adapter tests
+ * Loads the content script into a saved copy of each chat site's markup
+ * and drives it the way the background does: the save shortcut must
+ * scrape the right { role, content } turns, and resuming must fill the
+ * site's input and press its send button.
+ *
+ * Run with `npm test`. Update a fixture when a site's markup changes, and
+ * the adapter's selectors with it.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['utils.js', 'adapters.js', 'content.js'].map((file) =>
+  fs.readFileSync(path.join(ROOT, 'scripts', file), 'utf8'));
+
+const RESUME_SUMMARY = 'We were planning the next step.';
+
+/**
+ * One entry per adapter in scripts/adapters.js: the page the fixture was
+ * taken from, the turns it should scrape to, and the elements resuming
+ * should use.
+ */
+const CASES = [
+  {
+    adapter: 'chatgpt',
+    url: 'https://chatgpt.com/c/6650a1b2',
+    messages: [
+      { role: 'user', content: 'How do I sort a list in Python?' },
+      { role: 'assistant', content: 'Use `sorted()`:\n\n```python\nsorted([3, 1, 2])\n```' }
+    ],
+    input: '#prompt-textarea',
+    send: '[data-testid="send-button"]'
+  },
+  {
+    adapter: 'claude',
+    url: 'https://claude.ai/chat/0f1e2d3c',
+    messages: [
+      { role: 'user', content: 'Plan a day in Lisbon.' },
+      { role: 'assistant', content: 'Here is a plan:\n\n1. Belém in the morning\n2. Alfama at sunset' }
+    ],
+    input: '.ProseMirror',
+    send: 'button[aria-label="Send message"]'
+  },
+  {
+    adapter: 'gemini',
+    url: 'https://gemini.google.com/app/4b5c6d7e',
+    messages: [
+      { role: 'user', content: 'What is a monad?' },
+      { role: 'assistant', content: 'A monad is a **design pattern** for chaining computations.' }
+    ],
+    input: '.ql-editor',
+    send: 'button.send-button'
+  },
+  {
+    adapter: 'perplexity',
+    url: 'https://www.perplexity.ai/search/how-do-tides-work-abc123',
+    messages: [
+      { role: 'user', content: 'How do tides work?' },
+      { role: 'assistant', content: '## Gravity\n\nThe [Moon](https://example.com/moon) pulls on the oceans.' },
+      { role: 'user', content: 'And spring tides?' },
+      { role: 'assistant', content: '- Sun and Moon align\n- Bigger range' }
+    ],
+    input: '#ask-input',
+    send: 'button[aria-label="Submit"]'
+  },
+  {
+    adapter: 'mistral',
+    url: 'https://chat.mistral.ai/chat/8f9a0b1c',
+    messages: [
+      { role: 'user', content: 'Translate "hello" to French' },
+      { role: 'assistant', content: '**Bonjour**' }
+    ],
+    input: '.ProseMirror',
+    send: 'button[aria-label="Send question"]'
+  },
+  {
+    adapter: 'deepseek',
+    url: 'https://chat.deepseek.com/a/chat/s/2d3e4f5a',
+    messages: [
+      { role: 'user', content: 'Print one in Python' },
+      { role: 'assistant', content: '```python\nprint(1)\n```' }
+    ],
+    input: '#chat-input',
+    send: 'div[role="button"]'
+  },
+  {
+    adapter: 'copilot',
+    url: 'https://copilot.microsoft.com/chats/6b7c8d9e',
+    messages: [
+      { role: 'user', content: 'Compare tea and coffee' },
+      { role: 'assistant', content: '| Drink | Caffeine |\n| --- | --- |\n| Tea | Low |\n| Coffee | High |' }
+    ],
+    input: '#userInput',
+    send: 'button[data-testid="submit-button"]'
+  },
+  {
+    adapter: 'poe',
+    url: 'https://poe.com/chat/0a1b2c3d',
+    messages: [
+      { role: 'user', content: 'Name a prime' },
+      { role: 'assistant', content: '### Answer\n\n7 is prime.' }
+    ],
+    input: 'footer textarea',
+    send: 'button[data-button-send="true"]'
+  }
+];
+
+/**
+ * Load a fixture with the content script running in it. Messages to the
+ * background are answered from `replies` (action → data); the requests
+ * themselves are collected in `sent`, copied as the real channel would.
+ */
+async function loadPage(name, url, replies) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', name + '.html'), 'utf8');
+  // The page's own logging stays quiet; script errors still surface
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', (error) => {
+    if (!/^Not implemented/.test(error.message)) console.error(error);
+  });
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const win = dom.window;
+  const listeners = [];
+  const sent = [];
+
+  win.chrome = {
+    runtime: {
+      lastError: null,
+      sendMessage(message, callback) {
+        sent.push(JSON.parse(JSON.stringify(message)));
+        const data = replies[message.action];
+        const response = data === undefined
+          ? { success: false, error: 'Unhandled action ' + message.action }
+          : { success: true, data: data };
+        Promise.resolve().then(() => callback && callback(response));
+      },
+      onMessage: {
+        addListener(listener) { listeners.push(listener); }
+      }
+    }
+  };
+
+  SCRIPTS.forEach((source) => win.eval(source));
+  await waitFor(() => sent.some((message) => message.action === 'getToolbar'));
+  await tick();
+
+  return {
+    win,
+    sent,
+    command(name) {
+      listeners.forEach((listener) => listener({ action: 'runCommand', command: name }));
+    },
+    // Detach the page first so the content script's observers see the
+    // change while the window is still usable
+    async close() {
+      win.document.documentElement.remove();
+      await tick();
+      win.close();
+    }
+  };
+}
+
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function waitFor(check, timeoutMs) {
+  const deadline = Date.now() + (timeoutMs || 2000);
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the content script');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+function baseReplies() {
+  return {
+    getAdapters: {},
+    getToolbar: { styles: '', layout: {} },
+    getContentSettings: { captureMode: 'recent', resumeModes: {}, autoSave: { enabled: false, platforms: {} } },
+    findSaveByUrl: null
+  };
+}
+
+test('every built-in adapter has a fixture', () => {
+  const { window } = new JSDOM('', { runScripts: 'outside-only' });
+  window.eval(SCRIPTS[1]);
+  const ids = Array.from(window.SessionLinkAdapters.BUILTIN, (adapter) => adapter.id);
+  assert.deepStrictEqual(CASES.map((c) => c.adapter).sort(), ids.sort());
+  window.close();
+});
+
+CASES.forEach((c) => {
+  test(c.adapter + ': saving scrapes the conversation', async () => {
+    const replies = Object.assign(baseReplies(), { summarize: {} });
+    const page = await loadPage(c.adapter, c.url, replies);
+    try {
+      page.command('save-state');
+      await waitFor(() => page.sent.some((message) => message.action === 'summarize'));
+
+      const request = page.sent.find((message) => message.action === 'summarize');
+      assert.deepStrictEqual(request.messages, c.messages);
+      assert.strictEqual(request.url, c.url);
+    } finally {
+      await page.close();
+    }
+  });
+
+  test(c.adapter + ': resuming fills the input and sends', async () => {
+    const save = { id: 'save-1', summary: RESUME_SUMMARY, platform: 'Test', timestamp: new Date().toISOString() };
+    const replies = Object.assign(baseReplies(), { getLastSave: save });
+    const page = await loadPage(c.adapter, c.url, replies);
+    try {
+      const doc = page.win.document;
+      const input = doc.querySelector(c.input);
+      const sendButton = doc.querySelector(c.send);
+      assert.ok(input, 'fixture has the input ' + c.input);
+      assert.ok(sendButton, 'fixture has the send button ' + c.send);
+
+      let clicks = 0;
+      sendButton.addEventListener('click', () => { clicks++; });
+      page.command('resume-last');
+      await waitFor(() => clicks > 0);
+
+      const value = 'value' in input ? input.value : input.textContent;
+      assert.ok(value.includes(RESUME_SUMMARY), 'the resume prompt went into ' + c.input);
+      assert.strictEqual(clicks, 1);
+    } finally {
+      await page.close();
+    }
+  });
+});
@@ -2,8 +2,10 @@
  * SessionLink Popup Script
  * Handles settings management and saved states display
  * 
- * Uses chrome.storage.local directly (no message passing needed for storage)
+ * Settings use chrome.storage.local directly (no message passing needed).
  * This avoids the callback/promise mismatch that breaks settings persistence.
+ * Saves live in the background worker's IndexedDB store and are read and
+ * changed through messages.
  */
 
 (function () {
@@ -22,6 +24,43 @@
     });
   }
 
+  // ── Messaging helper (background worker) ───────────────────────────
+  function sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          resolve({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolve(response || { success: false, error: 'No response' });
+        }
+      });
+    });
+  }
+
+  // ── Optional host permission for self-hosted endpoints ─────────────
+  // Must be called straight from a click handler: browsers only show the
+  // permission prompt while the user gesture is still active.
+  function requestOriginPermission(baseUrl) {
+    return new Promise((resolve) => {
+      let origin;
+      try {
+        const url = new URL(baseUrl);
+        origin = url.protocol + '//' + url.hostname + '/*';
+      } catch (e) {
+        resolve(false);
+        return;
+      }
+      chrome.permissions.request({ origins: [origin] }, (granted) => {
+        if (chrome.runtime.lastError) {
+          console.warn('SessionLink popup: permission request failed', chrome.runtime.lastError.message);
+          resolve(false);
+        } else {
+          resolve(!!granted);
+        }
+      });
+    });
+  }
+
   function storageSet(data) {
     return new Promise((resolve, reject) => {
       chrome.storage.local.set(data, () => {
@@ -34,6 +73,27 @@
     });
   }
 
+  // ── Provider defaults (shown as placeholders) ───────────────────────
+  // Mirrors PROVIDER_DEFAULTS in background.js, which applies them.
+  const MODEL_DEFAULTS = {
+    openai: 'gpt-4o-mini',
+    gemini: 'gemini-2.0-flash',
+    anthropic: 'claude-3-5-haiku-latest',
+    custom: 'llama3.1'
+  };
+
+  // Highest temperature each API accepts; Anthropic's range is 0–1
+  const TEMPERATURE_MAX = {
+    openai: 2,
+    gemini: 2,
+    anthropic: 1,
+    custom: 2
+  };
+
+  // Per-provider model/temperature/max tokens, edited one provider at a time
+  let providerOptions = {};
+  let currentProvider = 'openai';
+
   // ── DOM Elements ───────────────────────────────────────────────────
   let elements = {};
 
@@ -47,11 +107,124 @@
       // Settings
       apiProvider: document.getElementById('api-provider'),
       apiKey: document.getElementById('api-key'),
+      apiKeyOptional: document.getElementById('api-key-optional'),
       toggleKey: document.getElementById('toggle-key'),
+      customFields: document.getElementById('custom-endpoint-fields'),
+      customBaseUrl: document.getElementById('custom-base-url'),
+      testConnectionBtn: document.getElementById('test-connection'),
+      model: document.getElementById('model'),
+      modelOptions: document.getElementById('model-options'),
+      refreshModelsBtn: document.getElementById('refresh-models'),
+      temperature: document.getElementById('temperature'),
+      maxTokens: document.getElementById('max-tokens'),
+      captureMode: document.getElementById('capture-mode'),
+      chunkTokens: document.getElementById('chunk-tokens'),
+      storeTranscript: document.getElementById('store-transcript'),
+      redactionEnabled: document.getElementById('redaction-enabled'),
+      redactionFields: document.getElementById('redaction-fields'),
+      redactionDetectors: document.querySelectorAll('.redaction-detector'),
+      redactionRules: document.getElementById('redaction-rules'),
+      redactionRestore: document.getElementById('redaction-restore'),
+      resumeModes: document.querySelectorAll('.resume-mode'),
+      autoSave: document.getElementById('auto-save'),
+      autoSaveFields: document.getElementById('auto-save-fields'),
+      autoSavePlatforms: document.querySelectorAll('.auto-save-platform'),
+      autoSaveTurns: document.getElementById('auto-save-turns'),
+      autoSaveInterval: document.getElementById('auto-save-interval'),
+      autoSaveHourly: document.getElementById('auto-save-hourly'),
+      retentionCount: document.getElementById('retention-count'),
+      retentionDays: document.getElementById('retention-days'),
       saveSettingsBtn: document.getElementById('save-settings'),
       settingsStatus: document.getElementById('settings-status'),
 
+      // Prompt templates
+      templateSelect: document.getElementById('template-select'),
+      newTemplateBtn: document.getElementById('new-template'),
+      duplicateTemplateBtn: document.getElementById('duplicate-template'),
+      templateName: document.getElementById('template-name'),
+      templateBody: document.getElementById('template-body'),
+      saveTemplateBtn: document.getElementById('save-template'),
+      activateTemplateBtn: document.getElementById('activate-template'),
+      restoreTemplateBtn: document.getElementById('restore-template'),
+      deleteTemplateBtn: document.getElementById('delete-template'),
+      templatesStatus: document.getElementById('templates-status'),
+
+      // Resume format
+      resumeTarget: document.getElementById('resume-target'),
+      resumePreamble: document.getElementById('resume-preamble'),
+      resumeWrapper: document.getElementById('resume-wrapper'),
+      resumeInstructions: document.getElementById('resume-instructions'),
+      resumePreview: document.getElementById('resume-preview'),
+      saveResumeBtn: document.getElementById('save-resume-template'),
+      resetResumeBtn: document.getElementById('reset-resume-template'),
+      resumeStatus: document.getElementById('resume-status'),
+
+      // Projects
+      projectId: document.getElementById('project-id'),
+      projectName: document.getElementById('project-name'),
+      projectPatterns: document.getElementById('project-patterns'),
+      saveProjectBtn: document.getElementById('save-project'),
+      cancelProjectBtn: document.getElementById('cancel-project'),
+      projectsStatus: document.getElementById('projects-status'),
+      projectsList: document.getElementById('projects-list'),
+
+      // Encryption
+      container: document.querySelector('.popup-container'),
+      vaultLock: document.getElementById('vault-lock'),
+      vaultUnlockPassphrase: document.getElementById('vault-unlock-passphrase'),
+      vaultUnlockBtn: document.getElementById('vault-unlock'),
+      vaultLockStatus: document.getElementById('vault-lock-status'),
+      vaultSetup: document.getElementById('vault-setup'),
+      vaultPassphrase: document.getElementById('vault-passphrase'),
+      vaultConfirm: document.getElementById('vault-confirm'),
+      vaultEnableBtn: document.getElementById('vault-enable'),
+      vaultOptions: document.getElementById('vault-options'),
+      vaultAutoLock: document.getElementById('vault-auto-lock'),
+      vaultLockNowBtn: document.getElementById('vault-lock-now'),
+      vaultCurrent: document.getElementById('vault-current'),
+      vaultDisableBtn: document.getElementById('vault-disable'),
+      vaultStatus: document.getElementById('vault-status'),
+
+      // Platform adapters
+      adapterList: document.getElementById('adapter-list'),
+      importAdaptersBtn: document.getElementById('import-adapters'),
+      downloadAdaptersBtn: document.getElementById('download-adapters'),
+      adapterFile: document.getElementById('adapter-file'),
+      adapterStatus: document.getElementById('adapter-status'),
+
+      // Custom sites
+      customSiteList: document.getElementById('custom-site-list'),
+      customSiteId: document.getElementById('custom-site-id'),
+      customSiteName: document.getElementById('custom-site-name'),
+      customSiteHost: document.getElementById('custom-site-host'),
+      customSiteUser: document.getElementById('custom-site-user'),
+      customSiteAssistant: document.getElementById('custom-site-assistant'),
+      customSiteInput: document.getElementById('custom-site-input'),
+      customSiteSend: document.getElementById('custom-site-send'),
+      pickCustomSiteBtn: document.getElementById('pick-custom-site'),
+      saveCustomSiteBtn: document.getElementById('save-custom-site'),
+      cancelCustomSiteBtn: document.getElementById('cancel-custom-site'),
+      customSiteStatus: document.getElementById('custom-site-status'),
+      shortcutList: document.getElementById('shortcut-list'),
+      changeShortcutsBtn: document.getElementById('change-shortcuts'),
+      shortcutStatus: document.getElementById('shortcut-status'),
+      toolbarLayoutList: document.getElementById('toolbar-layout-list'),
+      toolbarStatus: document.getElementById('toolbar-status'),
+
       // Saves
+      savesSearch: document.getElementById('saves-search'),
+      filterPlatform: document.getElementById('filter-platform'),
+      filterProject: document.getElementById('filter-project'),
+      filterTag: document.getElementById('filter-tag'),
+      filterFrom: document.getElementById('filter-from'),
+      filterTo: document.getElementById('filter-to'),
+      sortOrder: document.getElementById('sort-order'),
+      savesCount: document.getElementById('saves-count'),
+      savesStatus: document.getElementById('saves-status'),
+      exportFormat: document.getElementById('export-format'),
+      exportBtn: document.getElementById('export-saves'),
+      importBtn: document.getElementById('import-saves'),
+      importFile: document.getElementById('import-file'),
       savesList: document.getElementById('saves-list')
     };
   }
@@ -61,8 +234,31 @@
     cacheElements();
     setupTabNavigation();
     setupSettingsForm();
+    setupTemplatesForm();
+    setupResumeFormat();
+    setupProjectsForm();
+    setupSavesFilters();
+    setupExportImport();
+    setupAdapters();
+    setupCustomSites();
+    setupShortcuts();
+    setupVault();
+    const vault = await loadVaultStatus();
+    if (vault.locked) return; // unlocking loads the rest
+    // Opening the popup counts as activity for the auto-lock
+    if (vault.enabled) await sendMessage({ action: 'renewVaultLock' });
+    await loadAll();
+  }
+
+  async function loadAll() {
     await loadSettings();
+    await loadTemplates();
+    await loadResumeTemplates();
+    await loadProjects();
     await loadSaves();
+    await loadAdapters();
+    await loadSiteDraft();
+    await loadToolbarLayouts();
   }
 
   // ── Tab navigation ─────────────────────────────────────────────────
@@ -81,6 +277,8 @@
 
         if (tabId === 'saves') {
           loadSaves();
+        } else if (tabId === 'projects') {
+          loadProjects();
         }
       });
     });
@@ -106,17 +304,177 @@
       }
     });
 
+    // Swap the per-provider fields when the provider changes
+    elements.apiProvider.addEventListener('change', () => {
+      stashProviderOptions();
+      currentProvider = elements.apiProvider.value;
+      updateProviderFields();
+    });
+
+    elements.refreshModelsBtn.addEventListener('click', refreshModels);
+
+    elements.testConnectionBtn.addEventListener('click', testConnection);
+
+    elements.redactionEnabled.addEventListener('change', () => {
+      elements.redactionFields.classList.toggle('hidden', !elements.redactionEnabled.checked);
+    });
+
+    elements.autoSave.addEventListener('change', () => {
+      elements.autoSaveFields.classList.toggle('hidden', !elements.autoSave.checked);
+    });
+
     // Save settings button
     elements.saveSettingsBtn.addEventListener('click', saveSettings);
   }
 
+  function updateProviderFields() {
+    const isCustom = currentProvider === 'custom';
+    elements.customFields.classList.toggle('hidden', !isCustom);
+    elements.apiKeyOptional.classList.toggle('hidden', !isCustom);
+
+    const options = providerOptions[currentProvider] || {};
+    elements.model.value = options.model || '';
+    elements.model.placeholder = MODEL_DEFAULTS[currentProvider] || '';
+    elements.temperature.value = typeof options.temperature === 'number' ? options.temperature : '';
+    elements.temperature.max = TEMPERATURE_MAX[currentProvider];
+    elements.maxTokens.value = options.maxTokens || '';
+    elements.modelOptions.innerHTML = '';
+  }
+
+  // Read the visible fields back into providerOptions for the current provider
+  function stashProviderOptions() {
+    const options = {};
+    const model = elements.model.value.trim();
+    const temperature = parseFloat(elements.temperature.value);
+    const maxTokens = parseInt(elements.maxTokens.value, 10);
+
+    if (model) options.model = model;
+    if (!isNaN(temperature)) options.temperature = temperature;
+    if (!isNaN(maxTokens)) options.maxTokens = maxTokens;
+    providerOptions[currentProvider] = options;
+  }
+
+  // ── Fetch the provider's model list into the datalist ──────────────
+  async function refreshModels() {
+    const settings = {
+      apiProvider: currentProvider,
+      apiKey: elements.apiKey.value.trim(),
+      customBaseUrl: elements.customBaseUrl.value.trim()
+    };
+
+    if (currentProvider === 'custom') {
+      if (!settings.customBaseUrl) {
+        showStatus('Enter a base URL first', 'error');
+        return;
+      }
+      const granted = await requestOriginPermission(settings.customBaseUrl);
+      if (!granted) {
+        showStatus('Permission to access ' + settings.customBaseUrl + ' was denied', 'error');
+        return;
+      }
+    }
+
+    elements.refreshModelsBtn.disabled = true;
+    const response = await sendMessage({ action: 'listModels', settings: settings });
+    elements.refreshModelsBtn.disabled = false;
+
+    if (!response.success) {
+      showStatus('Could not load models: ' + response.error, 'error');
+      return;
+    }
+
+    elements.modelOptions.innerHTML = response.data
+      .map((id) => '<option value="' + escapeHtml(id) + '"></option>')
+      .join('');
+    showStatus(response.data.length + ' models available — pick one from the Model field', 'success');
+  }
+
+  // ── Test connection to a custom endpoint ───────────────────────────
+  async function testConnection() {
+    const baseUrl = elements.customBaseUrl.value.trim();
+    if (!baseUrl) {
+      showStatus('Enter a base URL first', 'error');
+      return;
+    }
+
+    const granted = await requestOriginPermission(baseUrl);
+    if (!granted) {
+      showStatus('Permission to access ' + baseUrl + ' was denied', 'error');
+      return;
+    }
+
+    elements.testConnectionBtn.disabled = true;
+    elements.testConnectionBtn.textContent = 'Testing…';
+
+    const response = await sendMessage({
+      action: 'testConnection',
+      settings: { customBaseUrl: baseUrl, apiKey: elements.apiKey.value.trim() }
+    });
+
+    elements.testConnectionBtn.disabled = false;
+    elements.testConnectionBtn.textContent = 'Test connection';
+
+    if (response.success) {
+      const count = response.data.modelCount;
+      showStatus('Connected! ' + count + ' model' + (count !== 1 ? 's' : '') + ' available.', 'success');
+    } else {
+      showStatus('Connection failed: ' + response.error, 'error');
+    }
+  }
+
   // ── Load settings from chrome.storage.local ────────────────────────
   async function loadSettings() {
     try {
       const result = await storageGet(['settings']);
       const settings = result.settings || {};
       elements.apiProvider.value = settings.apiProvider || 'openai';
-      elements.apiKey.value = settings.apiKey || '';
+      // With encryption on, the key only ever leaves the background sealed
+      vaultEnabled = !!settings.vault;
+      elements.apiKey.value = vaultEnabled ? '' : settings.apiKey || '';
+      elements.apiKey.placeholder = vaultEnabled ? 'Stored encrypted (leave blank to keep it)' : 'Enter your API key';
+      elements.customBaseUrl.value = settings.customBaseUrl || '';
+      elements.captureMode.value = settings.captureMode || 'recent';
+      elements.chunkTokens.value = settings.chunkTokens || '';
+      elements.storeTranscript.checked = !!settings.storeTranscript;
+
+      // Redaction is on unless switched off
+      const redaction = settings.redaction || {};
+      const detectors = redaction.detectors || {};
+      elements.redactionEnabled.checked = redaction.enabled !== false;
+      elements.redactionDetectors.forEach((box) => {
+        box.checked = detectors[box.value] !== false;
+      });
+      elements.redactionRules.value = (redaction.customRules || []).join('\n');
+      elements.redactionRestore.checked = !!redaction.restoreOnResume;
+      elements.redactionFields.classList.toggle('hidden', !elements.redactionEnabled.checked);
+
+      const resumeModes = settings.resumeModes || {};
+      elements.resumeModes.forEach((select) => {
+        select.value = resumeModes[select.dataset.platform] || 'auto';
+      });
+
+      const autoSave = settings.autoSave || {};
+      const autoSavePlatforms = autoSave.platforms || {};
+      elements.autoSave.checked = !!autoSave.enabled;
+      elements.autoSavePlatforms.forEach((box) => {
+        box.checked = autoSavePlatforms[box.value] !== false;
+      });
+      elements.autoSaveTurns.value = autoSave.turnThreshold || '';
+      elements.autoSaveInterval.value = typeof autoSave.minIntervalMinutes === 'number' ? autoSave.minIntervalMinutes : '';
+      elements.autoSaveHourly.value = typeof autoSave.maxPerHour === 'number' ? autoSave.maxPerHour : '';
+      elements.autoSaveFields.classList.toggle('hidden', !autoSave.enabled);
+
+      const retention = settings.retention || {};
+      elements.retentionCount.value = typeof retention.maxCount === 'number' ? retention.maxCount : '';
+      elements.retentionDays.value = typeof retention.maxAgeDays === 'number' ? retention.maxAgeDays : '';
+
+      providerOptions = Object.assign({}, settings.providerOptions);
+      // Settings saved before per-provider options kept the custom model at the top level
+      if (settings.customModel && !(providerOptions.custom && providerOptions.custom.model)) {
+        providerOptions.custom = Object.assign({}, providerOptions.custom, { model: settings.customModel });
+      }
+      currentProvider = elements.apiProvider.value;
+      updateProviderFields();
       console.log('SessionLink popup: settings loaded', settings.apiProvider);
     } catch (err) {
       console.error('SessionLink popup: failed to load settings', err);
@@ -125,27 +483,113 @@
 
   // ── Save settings to chrome.storage.local ──────────────────────────
   async function saveSettings() {
+    stashProviderOptions();
+
     const settings = {
       apiProvider: elements.apiProvider.value,
-      apiKey: elements.apiKey.value.trim()
+      apiKey: elements.apiKey.value.trim(),
+      customBaseUrl: elements.customBaseUrl.value.trim(),
+      providerOptions: providerOptions,
+      captureMode: elements.captureMode.value,
+      chunkTokens: parseInt(elements.chunkTokens.value, 10) || undefined,
+      storeTranscript: elements.storeTranscript.checked,
+      redaction: {
+        enabled: elements.redactionEnabled.checked,
+        detectors: {},
+        customRules: elements.redactionRules.value.split('\n').map((rule) => rule.trim()).filter(Boolean),
+        restoreOnResume: elements.redactionRestore.checked
+      },
+      resumeModes: {},
+      autoSave: {
+        enabled: elements.autoSave.checked,
+        platforms: {},
+        turnThreshold: parseInt(elements.autoSaveTurns.value, 10) || 3,
+        minIntervalMinutes: parseNonNegative(elements.autoSaveInterval.value, 10),
+        maxPerHour: parseNonNegative(elements.autoSaveHourly.value, 6)
+      },
+      retention: {
+        maxCount: parseNonNegative(elements.retentionCount.value, 500),
+        maxAgeDays: parseNonNegative(elements.retentionDays.value, 0)
+      }
     };
+    elements.redactionDetectors.forEach((box) => {
+      settings.redaction.detectors[box.value] = box.checked;
+    });
+    elements.resumeModes.forEach((select) => {
+      settings.resumeModes[select.dataset.platform] = select.value;
+    });
+    elements.autoSavePlatforms.forEach((box) => {
+      settings.autoSave.platforms[box.value] = box.checked;
+    });
+    const current = providerOptions[settings.apiProvider] || {};
 
     // Validate
-    if (!settings.apiKey) {
+    const badRule = settings.redaction.customRules.find((rule) => !isValidPattern(rule));
+    if (badRule) {
+      showStatus('Invalid redaction rule: ' + badRule, 'error');
+      return;
+    }
+
+    if (settings.chunkTokens && settings.chunkTokens < 1000) {
+      showStatus('Part size must be at least 1000 tokens', 'error');
+      return;
+    }
+
+    const maxTemperature = TEMPERATURE_MAX[settings.apiProvider];
+    if (typeof current.temperature === 'number' && (current.temperature < 0 || current.temperature > maxTemperature)) {
+      showStatus('Temperature must be between 0 and ' + maxTemperature + ' for this provider', 'error');
+      return;
+    }
+
+    if (typeof current.maxTokens === 'number' && current.maxTokens < 1) {
+      showStatus('Max output tokens must be at least 1', 'error');
+      return;
+    }
+
+    if (settings.apiProvider === 'custom') {
+      if (!settings.customBaseUrl || !current.model) {
+        showStatus('Please enter a base URL and model name', 'error');
+        return;
+      }
+      const granted = await requestOriginPermission(settings.customBaseUrl);
+      if (!granted) {
+        showStatus('Permission to access ' + settings.customBaseUrl + ' was denied', 'error');
+        return;
+      }
+    } else if (!settings.apiKey && !vaultEnabled) {
       showStatus('Please enter an API key', 'error');
       return;
     }
 
-    if (settings.apiProvider === 'openai' && !settings.apiKey.startsWith('sk-')) {
+    if (settings.apiProvider === 'openai' && settings.apiKey && !settings.apiKey.startsWith('sk-')) {
       showStatus('OpenAI API keys typically start with "sk-"', 'error');
       return;
     }
 
+    if (settings.apiProvider === 'anthropic' && settings.apiKey && !settings.apiKey.startsWith('sk-ant-')) {
+      showStatus('Anthropic API keys typically start with "sk-ant-"', 'error');
+      return;
+    }
+
     try {
       elements.saveSettingsBtn.disabled = true;
       elements.saveSettingsBtn.textContent = 'Saving…';
 
-      await storageSet({ settings: settings });
+      // A new key is handed to the background to encrypt, never stored plain
+      const keyToSeal = vaultEnabled ? settings.apiKey : '';
+      if (vaultEnabled) settings.apiKey = '';
+
+      // Merge so settings owned by other parts of the extension survive
+      const result = await storageGet(['settings']);
+      const merged = Object.assign({}, result.settings, settings);
+      delete merged.customModel;
+      await storageSet({ settings: merged });
+
+      if (keyToSeal) {
+        const response = await sendMessage({ action: 'setVaultApiKey', apiKey: keyToSeal });
+        if (!response.success) throw new Error(response.error);
+        elements.apiKey.value = '';
+      }
 
       showStatus('Settings saved successfully!', 'success');
       console.log('SessionLink popup: settings saved');
@@ -159,58 +603,879 @@
     }
   }
 
+  // ── Encryption (vault) ─────────────────────────────────────────────
+  // The background worker derives and holds the key; the popup only ever
+  // sends the passphrase.
+  let vaultEnabled = false;
+
+  function setupVault() {
+    elements.vaultUnlockBtn.addEventListener('click', unlockVault);
+    elements.vaultUnlockPassphrase.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') unlockVault();
+    });
+    elements.vaultEnableBtn.addEventListener('click', enableVault);
+    elements.vaultLockNowBtn.addEventListener('click', lockVault);
+    elements.vaultDisableBtn.addEventListener('click', disableVault);
+    elements.vaultAutoLock.addEventListener('change', saveAutoLock);
+  }
+
+  async function loadVaultStatus() {
+    const response = await sendMessage({ action: 'getVaultStatus' });
+    const status = response.success ? response.data : { enabled: false, locked: false };
+    vaultEnabled = status.enabled;
+    elements.vaultSetup.classList.toggle('hidden', status.enabled);
+    elements.vaultOptions.classList.toggle('hidden', !status.enabled);
+    if (status.enabled) elements.vaultAutoLock.value = String(status.autoLockMinutes);
+    elements.container.classList.toggle('locked', status.locked);
+    elements.vaultLock.classList.toggle('hidden', !status.locked);
+    if (status.locked) elements.vaultUnlockPassphrase.focus();
+    return status;
+  }
+
+  async function unlockVault() {
+    const passphrase = elements.vaultUnlockPassphrase.value;
+    if (!passphrase) return;
+
+    elements.vaultUnlockBtn.disabled = true;
+    elements.vaultUnlockBtn.textContent = 'Unlocking…';
+    const response = await sendMessage({ action: 'unlockVault', passphrase });
+    elements.vaultUnlockBtn.disabled = false;
+    elements.vaultUnlockBtn.textContent = 'Unlock';
+
+    if (!response.success) {
+      showStatus(response.error, 'error', elements.vaultLockStatus);
+      elements.vaultUnlockPassphrase.select();
+      return;
+    }
+    elements.vaultUnlockPassphrase.value = '';
+    await loadVaultStatus();
+    await loadAll();
+  }
+
+  async function enableVault() {
+    const passphrase = elements.vaultPassphrase.value;
+    if (passphrase.length < 8) {
+      showStatus('Use a passphrase of at least 8 characters', 'error', elements.vaultStatus);
+      return;
+    }
+    if (passphrase !== elements.vaultConfirm.value) {
+      showStatus('The passphrases do not match', 'error', elements.vaultStatus);
+      return;
+    }
+
+    elements.vaultEnableBtn.disabled = true;
+    elements.vaultEnableBtn.textContent = 'Encrypting…';
+    const response = await sendMessage({ action: 'enableVault', passphrase });
+    elements.vaultEnableBtn.disabled = false;
+    elements.vaultEnableBtn.textContent = 'Turn on encryption';
+
+    if (!response.success) {
+      showStatus(response.error, 'error', elements.vaultStatus);
+      return;
+    }
+    elements.vaultPassphrase.value = '';
+    elements.vaultConfirm.value = '';
+    await loadVaultStatus();
+    await loadSettings();
+    showStatus('Encryption is on', 'success', elements.vaultStatus);
+  }
+
+  async function disableVault() {
+    const passphrase = elements.vaultCurrent.value;
+    if (!passphrase) {
+      showStatus('Enter your current passphrase', 'error', elements.vaultStatus);
+      return;
+    }
+    if (!confirm('Turn off encryption? Your API key and saved states will be stored unencrypted.')) return;
+
+    elements.vaultDisableBtn.disabled = true;
+    const response = await sendMessage({ action: 'disableVault', passphrase });
+    elements.vaultDisableBtn.disabled = false;
+
+    if (!response.success) {
+      showStatus(response.error, 'error', elements.vaultStatus);
+      return;
+    }
+    elements.vaultCurrent.value = '';
+    await loadVaultStatus();
+    await loadSettings();
+    showStatus('Encryption is off', 'success', elements.vaultStatus);
+  }
+
+  async function lockVault() {
+    await sendMessage({ action: 'lockVault' });
+    await loadVaultStatus();
+  }
+
+  async function saveAutoLock() {
+    try {
+      const result = await storageGet(['settings']);
+      const settings = Object.assign({}, result.settings, {
+        vaultAutoLockMinutes: parseInt(elements.vaultAutoLock.value, 10)
+      });
+      await storageSet({ settings });
+      // Reschedules the lock with the new timeout
+      await sendMessage({ action: 'renewVaultLock' });
+      showStatus('Auto-lock updated', 'success', elements.vaultStatus);
+    } catch (err) {
+      showStatus('Error: ' + err.message, 'error', elements.vaultStatus);
+    }
+  }
+
   // ── Status message ─────────────────────────────────────────────────
-  function showStatus(message, type) {
-    elements.settingsStatus.textContent = message;
-    elements.settingsStatus.className = 'status-message ' + type;
+  function showStatus(message, type, target) {
+    const el = target || elements.settingsStatus;
+    el.textContent = message;
+    el.className = 'status-message ' + type;
 
     setTimeout(() => {
-      elements.settingsStatus.className = 'status-message hidden';
+      el.className = 'status-message hidden';
     }, 4000);
   }
 
-  // ── Load saved states from chrome.storage.local ────────────────────
-  async function loadSaves() {
+  // ── Prompt templates ───────────────────────────────────────────────
+  // Templates are owned by the background worker, which also knows the
+  // built-in default prompt, so this tab goes through messages.
+  const BUILTIN_TEMPLATE_ID = 'builtin-default';
+  let templates = [];
+  let activeTemplateId = BUILTIN_TEMPLATE_ID;
+  let selectedTemplateId = null; // null while editing an unsaved template
+
+  function setupTemplatesForm() {
+    elements.templateSelect.addEventListener('change', () => {
+      selectTemplate(elements.templateSelect.value);
+    });
+
+    elements.newTemplateBtn.addEventListener('click', () => {
+      editNewTemplate('', '');
+    });
+
+    elements.duplicateTemplateBtn.addEventListener('click', () => {
+      editNewTemplate(elements.templateName.value.trim() + ' (copy)', elements.templateBody.value);
+    });
+
+    elements.saveTemplateBtn.addEventListener('click', saveTemplate);
+    elements.activateTemplateBtn.addEventListener('click', activateTemplate);
+    elements.restoreTemplateBtn.addEventListener('click', restoreTemplate);
+    elements.deleteTemplateBtn.addEventListener('click', deleteTemplate);
+  }
+
+  async function loadTemplates(selectId) {
+    const response = await sendMessage({ action: 'getTemplates' });
+    if (!response.success) {
+      showStatus('Could not load templates: ' + response.error, 'error', elements.templatesStatus);
+      return;
+    }
+    templates = response.data.templates;
+    activeTemplateId = response.data.activeTemplateId;
+    renderTemplateOptions();
+    selectTemplate(selectId || selectedTemplateId || activeTemplateId);
+  }
+
+  function renderTemplateOptions() {
+    elements.templateSelect.innerHTML = templates
+      .map((t) =>
+        '<option value="' + escapeHtml(t.id) + '">' +
+        escapeHtml(t.name) + (t.id === activeTemplateId ? ' ★' : '') +
+        '</option>'
+      )
+      .join('');
+  }
+
+  function selectTemplate(id) {
+    const template = templates.find((t) => t.id === id) || templates[0];
+    if (!template) return;
+
+    selectedTemplateId = template.id;
+    elements.templateSelect.value = template.id;
+    elements.templateName.value = template.name;
+    elements.templateBody.value = template.body;
+    updateTemplateButtons();
+  }
+
+  function editNewTemplate(name, body) {
+    selectedTemplateId = null;
+    elements.templateName.value = name;
+    elements.templateBody.value = body;
+    elements.templateName.focus();
+    updateTemplateButtons();
+  }
+
+  function updateTemplateButtons() {
+    const isBuiltin = selectedTemplateId === BUILTIN_TEMPLATE_ID;
+    elements.restoreTemplateBtn.classList.toggle('hidden', !isBuiltin);
+    elements.deleteTemplateBtn.classList.toggle('hidden', isBuiltin || !selectedTemplateId);
+    elements.activateTemplateBtn.disabled = !selectedTemplateId || selectedTemplateId === activeTemplateId;
+  }
+
+  async function saveTemplate() {
+    const template = {
+      id: selectedTemplateId || undefined,
+      name: elements.templateName.value.trim(),
+      body: elements.templateBody.value
+    };
+
+    const response = await sendMessage({ action: 'saveTemplate', template: template });
+    if (response.success) {
+      showStatus('Template saved', 'success', elements.templatesStatus);
+      await loadTemplates(response.data.id);
+    } else {
+      showStatus('Error: ' + response.error, 'error', elements.templatesStatus);
+    }
+  }
+
+  async function activateTemplate() {
+    if (!selectedTemplateId) return;
+    const response = await sendMessage({ action: 'setActiveTemplate', id: selectedTemplateId });
+    if (response.success) {
+      showStatus('New saves will use this template', 'success', elements.templatesStatus);
+      await loadTemplates(selectedTemplateId);
+    } else {
+      showStatus('Error: ' + response.error, 'error', elements.templatesStatus);
+    }
+  }
+
+  async function restoreTemplate() {
+    if (!confirm('Restore the original default prompt? Your edits will be lost.')) return;
+    const response = await sendMessage({ action: 'restoreDefaultTemplate' });
+    if (response.success) {
+      showStatus('Default prompt restored', 'success', elements.templatesStatus);
+      await loadTemplates(BUILTIN_TEMPLATE_ID);
+    } else {
+      showStatus('Error: ' + response.error, 'error', elements.templatesStatus);
+    }
+  }
+
+  async function deleteTemplate() {
+    if (!selectedTemplateId || !confirm('Delete this template?')) return;
+    const response = await sendMessage({ action: 'deleteTemplate', id: selectedTemplateId });
+    if (response.success) {
+      selectedTemplateId = null;
+      await loadTemplates();
+    } else {
+      showStatus('Error: ' + response.error, 'error', elements.templatesStatus);
+    }
+  }
+
+  // ── Resume format ──────────────────────────────────────────────────
+  // settings.resumeTemplates only holds targets the user changed; the
+  // defaults live in SessionLinkUtils, shared with the content script.
+  let resumeTemplates = {};
+  const PREVIEW_SAVE = {
+    summary: 'SYSTEM HANDOFF:\n1. **Project Goal:** Ship the billing export\n2. **Immediate Next Step:** Add CSV headers',
+    platform: 'ChatGPT',
+    title: 'Billing export',
+    timestamp: new Date().toISOString()
+  };
+
+  function setupResumeFormat() {
+    elements.resumeTarget.addEventListener('change', () => showResumeTemplate(elements.resumeTarget.value));
+    [elements.resumePreamble, elements.resumeWrapper, elements.resumeInstructions].forEach((el) => {
+      el.addEventListener('input', updateResumePreview);
+    });
+    elements.saveResumeBtn.addEventListener('click', saveResumeTemplate);
+    elements.resetResumeBtn.addEventListener('click', resetResumeTemplate);
+  }
+
+  async function loadResumeTemplates() {
     try {
-      const result = await storageGet(['saves']);
-      const saves = result.saves || [];
-      if (saves.length > 0) {
-        renderSaves(saves);
-      } else {
-        renderEmptyState();
-      }
+      const result = await storageGet(['settings']);
+      resumeTemplates = Object.assign({}, (result.settings || {}).resumeTemplates);
     } catch (err) {
-      console.error('SessionLink popup: failed to load saves', err);
+      console.error('SessionLink popup: failed to load resume formats', err);
+    }
+    showResumeTemplate(elements.resumeTarget.value);
+  }
+
+  function showResumeTemplate(target) {
+    const template = SessionLinkUtils.getResumeTemplate(resumeTemplates, target);
+    elements.resumePreamble.value = template.preamble || '';
+    elements.resumeWrapper.value = template.wrapper || '';
+    elements.resumeInstructions.value = template.instructions || '';
+    elements.resetResumeBtn.disabled = !resumeTemplates[target];
+    updateResumePreview();
+  }
+
+  function readResumeTemplate() {
+    return {
+      preamble: elements.resumePreamble.value,
+      wrapper: elements.resumeWrapper.value,
+      instructions: elements.resumeInstructions.value
+    };
+  }
+
+  function updateResumePreview() {
+    const target = elements.resumeTarget.options[elements.resumeTarget.selectedIndex].textContent;
+    elements.resumePreview.textContent = SessionLinkUtils.formatResumePrompt(PREVIEW_SAVE, readResumeTemplate(), target);
+  }
+
+  async function saveResumeTemplate() {
+    const template = readResumeTemplate();
+    if (template.wrapper.indexOf('{summary}') === -1) {
+      showStatus('The wrapper must contain {summary}', 'error', elements.resumeStatus);
+      return;
+    }
+    const next = Object.assign({}, resumeTemplates);
+    next[elements.resumeTarget.value] = template;
+    await storeResumeTemplates(next, 'Resume format saved');
+  }
+
+  async function resetResumeTemplate() {
+    const next = Object.assign({}, resumeTemplates);
+    delete next[elements.resumeTarget.value];
+    await storeResumeTemplates(next, 'Default format restored');
+  }
+
+  async function storeResumeTemplates(next, message) {
+    try {
+      const result = await storageGet(['settings']);
+      const settings = Object.assign({}, result.settings, { resumeTemplates: next });
+      await storageSet({ settings: settings });
+      resumeTemplates = next;
+      showResumeTemplate(elements.resumeTarget.value);
+      showStatus(message, 'success', elements.resumeStatus);
+    } catch (err) {
+      showStatus('Error: ' + err.message, 'error', elements.resumeStatus);
+    }
+  }
+
+  // ── Projects ───────────────────────────────────────────────────────
+  // Projects live in the background worker's IndexedDB store alongside saves.
+  let projects = [];
+
+  function setupProjectsForm() {
+    elements.saveProjectBtn.addEventListener('click', saveProject);
+    elements.cancelProjectBtn.addEventListener('click', resetProjectForm);
+  }
+
+  async function loadProjects() {
+    const response = await sendMessage({ action: 'getProjects' });
+    if (!response.success) {
+      console.error('SessionLink popup: failed to load projects', response.error);
+      projects = [];
+    } else {
+      projects = response.data;
+    }
+    renderProjects();
+    populateFilterOptions();
+  }
+
+  function findProject(id) {
+    return projects.find((project) => project.id === id) || null;
+  }
+
+  function renderProjects() {
+    if (projects.length === 0) {
+      elements.projectsList.innerHTML =
+        '<div class="empty-state"><p>No projects yet</p>' +
+        '<span>Group related saves and resume them as one merged project memory.</span></div>';
+      return;
+    }
+
+    elements.projectsList.innerHTML = projects.map((project) => {
+      const id = escapeHtml(project.id);
+      const patterns = project.urlPatterns || [];
+      return (
+        '<div class="save-item" data-id="' + id + '">' +
+        '  <div class="save-item-header">' +
+        '    <span class="save-item-title">' + escapeHtml(project.name) + '</span>' +
+        '    <span class="save-item-time">' + project.saveCount + ' save' + (project.saveCount !== 1 ? 's' : '') +
+               (project.lastSavedAt ? ' · ' + formatTime(project.lastSavedAt) : '') + '</span>' +
+        '  </div>' +
+        (patterns.length ? '  <div class="project-patterns">' + patterns.map(escapeHtml).join('<br>') + '</div>' : '') +
+        '  <div class="save-item-actions">' +
+        '    <button class="btn btn-secondary btn-sm memory-btn" data-id="' + id + '" title="Merge this project\'s saves into one handoff"' +
+               (project.saveCount ? '' : ' disabled') + '>Memory</button>' +
+        '    <button class="btn btn-secondary btn-sm view-saves-btn" data-id="' + id + '">Saves</button>' +
+        '    <button class="btn btn-secondary btn-sm edit-project-btn" data-id="' + id + '">Edit</button>' +
+        '    <button class="btn btn-danger btn-sm delete-project-btn" data-id="' + id + '">Delete</button>' +
+        '  </div>' +
+        '</div>'
+      );
+    }).join('');
+
+    elements.projectsList.querySelectorAll('.memory-btn').forEach((btn) => {
+      btn.addEventListener('click', () => showProjectMemory(btn));
+    });
+    elements.projectsList.querySelectorAll('.view-saves-btn').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        elements.filterProject.value = btn.dataset.id;
+        document.querySelector('.tab-btn[data-tab="saves"]').click();
+      });
+    });
+    elements.projectsList.querySelectorAll('.edit-project-btn').forEach((btn) => {
+      btn.addEventListener('click', () => editProject(btn.dataset.id));
+    });
+    elements.projectsList.querySelectorAll('.delete-project-btn').forEach((btn) => {
+      btn.addEventListener('click', () => deleteProject(btn.dataset.id));
+    });
+  }
+
+  function editProject(id) {
+    const project = findProject(id);
+    if (!project) return;
+    elements.projectId.value = project.id;
+    elements.projectName.value = project.name;
+    elements.projectPatterns.value = (project.urlPatterns || []).join('\n');
+    elements.saveProjectBtn.textContent = 'Save project';
+    elements.cancelProjectBtn.classList.remove('hidden');
+    elements.projectName.focus();
+  }
+
+  function resetProjectForm() {
+    elements.projectId.value = '';
+    elements.projectName.value = '';
+    elements.projectPatterns.value = '';
+    elements.saveProjectBtn.textContent = 'Create project';
+    elements.cancelProjectBtn.classList.add('hidden');
+  }
+
+  async function saveProject() {
+    const project = {
+      id: elements.projectId.value || undefined,
+      name: elements.projectName.value.trim(),
+      urlPatterns: elements.projectPatterns.value.split('\n')
+    };
+
+    const response = await sendMessage({ action: 'saveProject', project: project });
+    if (response.success) {
+      showStatus(project.id ? 'Project saved' : 'Project created', 'success', elements.projectsStatus);
+      resetProjectForm();
+      await loadProjects();
+    } else {
+      showStatus('Error: ' + response.error, 'error', elements.projectsStatus);
+    }
+  }
+
+  async function deleteProject(id) {
+    if (!confirm('Delete this project? Its saves are kept.')) return;
+    const response = await sendMessage({ action: 'deleteProject', id: id });
+    if (response.success) {
+      if (elements.projectId.value === id) resetProjectForm();
+      await loadProjects();
+    } else {
+      showStatus('Error: ' + response.error, 'error', elements.projectsStatus);
+    }
+  }
+
+  async function showProjectMemory(btn) {
+    const item = btn.closest('.save-item');
+    const existing = item.querySelector('.project-memory');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    btn.disabled = true;
+    btn.textContent = 'Building…';
+    const response = await sendMessage({ action: 'getProjectMemory', projectId: btn.dataset.id });
+    btn.disabled = false;
+    btn.textContent = 'Memory';
+    if (!response.success) {
+      alert('Could not build project memory: ' + response.error);
+      return;
+    }
+
+    const memory = response.data;
+    const panel = document.createElement('div');
+    panel.className = 'project-memory';
+    panel.innerHTML =
+      '<textarea class="form-input form-textarea" rows="8" readonly></textarea>' +
+      '<div class="project-memory-meta">Merged from ' + memory.saveCount + ' save' + (memory.saveCount !== 1 ? 's' : '') +
+      ' · ' + (memory.cached ? 'cached ' : 'built ') + formatTime(memory.updatedAt) + '</div>' +
+      '<div class="button-row"><button class="btn btn-secondary btn-sm memory-copy">Copy</button></div>';
+    panel.querySelector('textarea').value = memory.summary;
+    panel.querySelector('.memory-copy').addEventListener('click', async (event) => {
+      try {
+        await navigator.clipboard.writeText(memory.summary);
+        event.target.textContent = 'Copied!';
+        setTimeout(() => { event.target.textContent = 'Copy'; }, 2000);
+      } catch (err) {
+        console.error('SessionLink popup: copy failed', err);
+      }
+    });
+    item.querySelector('.save-item-actions').before(panel);
+  }
+
+  // ── Saved states: search, filter, sort ────────────────────────────
+  const PAGE_SIZE = 50;
+  const BUILTIN_PLATFORMS = ['ChatGPT', 'Claude', 'Gemini', 'Perplexity', 'Le Chat', 'DeepSeek', 'Copilot', 'Poe'];
+  let allSaves = [];
+  let searchIndex = SessionLinkSearch.createIndex([]);
+  let renderLimit = PAGE_SIZE;
+
+  function setupSavesFilters() {
+    const rerender = () => {
+      renderLimit = PAGE_SIZE;
+      applyFilters();
+    };
+
+    // Index lookups are cheap, but rendering isn't — debounce typing
+    let searchTimer = null;
+    elements.savesSearch.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        if (elements.savesSearch.value.trim() && elements.sortOrder.value === 'newest') {
+          elements.sortOrder.value = 'relevance';
+        }
+        rerender();
+      }, 150);
+    });
+
+    [elements.filterPlatform, elements.filterProject, elements.filterTag, elements.filterFrom, elements.filterTo, elements.sortOrder]
+      .forEach((el) => el.addEventListener('change', rerender));
+  }
+
+  async function loadSaves() {
+    const response = await sendMessage({ action: 'getAllSaves' });
+    if (!response.success) {
+      console.error('SessionLink popup: failed to load saves', response.error);
+      allSaves = [];
+    } else {
+      allSaves = response.data;
+    }
+    // Drop selections for saves that are gone
+    const ids = new Set(allSaves.map((save) => save.id));
+    selectedIds.forEach((id) => {
+      if (!ids.has(id)) selectedIds.delete(id);
+    });
+    updateExportButton();
+
+    searchIndex = SessionLinkSearch.createIndex(allSaves);
+    populateFilterOptions();
+    applyFilters();
+  }
+
+  // Platforms and tags come from the data so new ones show up automatically
+  function populateFilterOptions() {
+    const platforms = new Set(BUILTIN_PLATFORMS);
+    const tags = new Set();
+    allSaves.forEach((save) => {
+      if (save.platform) platforms.add(save.platform);
+      (save.tags || []).forEach((tag) => tags.add(tag));
+    });
+
+    fillSelect(elements.filterPlatform, 'All platforms', Array.from(platforms).sort());
+    fillSelect(elements.filterTag, 'All tags', Array.from(tags).sort());
+    elements.filterTag.classList.toggle('hidden', tags.size === 0);
+    fillSelect(elements.filterProject, 'All projects', projects.map((p) => p.id), projects.map((p) => p.name));
+    elements.filterProject.classList.toggle('hidden', projects.length === 0);
+  }
+
+  // `labels` defaults to the values themselves
+  function fillSelect(select, allLabel, values, labels) {
+    const current = select.value;
+    select.innerHTML =
+      '<option value="">' + escapeHtml(allLabel) + '</option>' +
+      values.map((v, i) => '<option value="' + escapeHtml(v) + '">' + escapeHtml(labels ? labels[i] : v) + '</option>').join('');
+    select.value = values.indexOf(current) !== -1 ? current : '';
+  }
+
+  function applyFilters() {
+    if (allSaves.length === 0) {
+      elements.savesCount.textContent = '';
       renderEmptyState();
+      return;
+    }
+
+    const scores = searchIndex.search(elements.savesSearch.value);
+    const platform = elements.filterPlatform.value;
+    const projectId = elements.filterProject.value;
+    const tag = elements.filterTag.value;
+    // Date inputs are local dates; compare against local day boundaries
+    const from = elements.filterFrom.value ? new Date(elements.filterFrom.value + 'T00:00:00').getTime() : null;
+    const to = elements.filterTo.value ? new Date(elements.filterTo.value + 'T23:59:59.999').getTime() : null;
+
+    const results = allSaves.filter((save) => {
+      if (scores && !scores.has(save.id)) return false;
+      if (platform && save.platform !== platform) return false;
+      if (projectId && save.projectId !== projectId) return false;
+      if (tag && (save.tags || []).indexOf(tag) === -1) return false;
+      const time = new Date(save.timestamp).getTime();
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      return true;
+    });
+
+    sortSaves(results, elements.sortOrder.value, scores);
+
+    elements.savesCount.textContent = results.length === allSaves.length
+      ? allSaves.length + ' saved state' + (allSaves.length !== 1 ? 's' : '')
+      : results.length + ' of ' + allSaves.length + ' saved states';
+
+    if (results.length === 0) {
+      elements.savesList.innerHTML = '<div class="empty-state"><p>No matches</p><span>Try a different search or clear the filters.</span></div>';
+      return;
     }
+    renderSaves(results.slice(0, renderLimit), results.length > renderLimit);
+  }
+
+  function sortSaves(saves, order, scores) {
+    const byNewest = (a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0);
+    const comparators = {
+      newest: byNewest,
+      oldest: (a, b) => byNewest(b, a),
+      platform: (a, b) => (a.platform || '').localeCompare(b.platform || '') || byNewest(a, b),
+      relevance: (a, b) => (scores ? (scores.get(b.id) || 0) - (scores.get(a.id) || 0) : 0) || byNewest(a, b)
+    };
+    const compare = comparators[order] || byNewest;
+    // Pinned saves always come first
+    saves.sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || compare(a, b));
   }
 
   // ── Render saves ───────────────────────────────────────────────────
-  function renderSaves(saves) {
-    elements.savesList.innerHTML = saves
-      .map(
-        (save) =>
-          '<div class="save-item" data-id="' + save.id + '">' +
-          '  <div class="save-item-header">' +
-          '    <span class="save-item-platform">' + escapeHtml(save.platform || 'Unknown') + '</span>' +
-          '    <span class="save-item-time">' + formatTime(save.timestamp) + '</span>' +
-          '  </div>' +
-          '  <div class="save-item-preview">' + escapeHtml(save.preview || (save.summary || '').substring(0, 120)) + '</div>' +
-          '  <div class="save-item-actions">' +
-          '    <button class="btn btn-secondary btn-sm copy-btn" data-id="' + save.id + '" title="Copy to clipboard">Copy</button>' +
-          '    <button class="btn btn-danger btn-sm delete-btn" data-id="' + save.id + '" title="Delete">Delete</button>' +
-          '  </div>' +
-          '</div>'
-      )
-      .join('');
+  const PIN_ICON =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
+    '<line x1="12" y1="17" x2="12" y2="22"></line>' +
+    '<path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path>' +
+    '</svg>';
+
+  function renderSaveItem(save) {
+    const id = escapeHtml(save.id);
+    const tags = save.tags || [];
+    const project = save.projectId ? findProject(save.projectId) : null;
+    return (
+      '<div class="save-item' + (save.pinned ? ' pinned' : '') + '" data-id="' + id + '">' +
+      '  <div class="save-item-header">' +
+      '    <span>' +
+      '      <input type="checkbox" class="save-select" data-id="' + id + '" title="Select for export"' +
+               (selectedIds.has(save.id) ? ' checked' : '') + '>' +
+      '      <span class="save-item-platform">' + escapeHtml(save.platform || 'Unknown') + '</span>' +
+      (project ? '      <span class="save-item-project" title="Project">' + escapeHtml(project.name) + '</span>' : '') +
+      (save.kind === 'transcript' ? '      <span class="save-item-kind" title="Saved without summarizing">Transcript</span>' : '') +
+      '    </span>' +
+      '    <span class="save-item-meta">' +
+      '      <span class="save-item-time">' + formatTime(save.timestamp) + '</span>' +
+      '      <button class="pin-btn' + (save.pinned ? ' active' : '') + '" data-id="' + id + '" title="' +
+               (save.pinned ? 'Unpin' : 'Pin (kept first and never pruned)') + '">' + PIN_ICON + '</button>' +
+      '    </span>' +
+      '  </div>' +
+      '  <div class="save-item-title">' + escapeHtml(save.title || 'Untitled save') + '</div>' +
+      (tags.length
+        ? '  <div class="save-item-tags">' + tags.map((t) => '<span class="tag">' + escapeHtml(t) + '</span>').join('') + '</div>'
+        : '') +
+      (save.redactions && save.redactions.length
+        ? '  <div class="save-item-redactions" title="Replaced with placeholders before summarizing">Redacted: ' +
+          save.redactions.map((r) => r.count + ' ' + escapeHtml(r.type.toLowerCase().replace(/_/g, ' '))).join(', ') + '</div>'
+        : '') +
+      '  <div class="save-item-preview">' + escapeHtml(save.preview || (save.summary || '').substring(0, 120)) + '</div>' +
+      (save.note ? '  <div class="save-item-note">' + escapeHtml(save.note) + '</div>' : '') +
+      '  <div class="save-item-actions">' +
+      '    <button class="btn btn-secondary btn-sm copy-btn" data-id="' + id + '" title="Copy to clipboard">Copy</button>' +
+      '    <button class="btn btn-secondary btn-sm edit-btn" data-id="' + id + '" title="Edit title, tags and note">Edit</button>' +
+      (save.versions && save.versions.length
+        ? '    <button class="btn btn-secondary btn-sm history-btn" data-id="' + id + '" title="Earlier versions of this summary">History (' + save.versions.length + ')</button>'
+        : '') +
+      (save.transcript && save.transcript.length
+        ? '    <button class="btn btn-secondary btn-sm transcript-btn" data-id="' + id + '" title="View the stored conversation">Transcript</button>' +
+          (save.kind === 'transcript'
+            ? '    <button class="btn btn-secondary btn-sm resummarize-btn" data-id="' + id + '" title="Summarize the stored conversation">Summarize</button>'
+            : '    <button class="btn btn-secondary btn-sm resummarize-btn" data-id="' + id + '" title="Summarize the stored conversation again">Re-summarize</button>')
+        : '') +
+      '    <button class="btn btn-danger btn-sm delete-btn" data-id="' + id + '" title="Delete">Delete</button>' +
+      '  </div>' +
+      '</div>'
+    );
+  }
+
+  function renderSaves(saves, hasMore) {
+    elements.savesList.innerHTML = saves.map(renderSaveItem).join('') +
+      (hasMore ? '<button class="btn btn-secondary btn-sm show-more" id="show-more">Show more</button>' : '');
 
     // Event listeners
+    const showMore = document.getElementById('show-more');
+    if (showMore) {
+      showMore.addEventListener('click', () => {
+        renderLimit += PAGE_SIZE;
+        applyFilters();
+      });
+    }
+    elements.savesList.querySelectorAll('.save-select').forEach((box) => {
+      box.addEventListener('change', () => {
+        if (box.checked) {
+          selectedIds.add(box.dataset.id);
+        } else {
+          selectedIds.delete(box.dataset.id);
+        }
+        updateExportButton();
+      });
+    });
     elements.savesList.querySelectorAll('.copy-btn').forEach((btn) => {
       btn.addEventListener('click', () => copySave(btn.dataset.id, saves));
     });
+    elements.savesList.querySelectorAll('.pin-btn').forEach((btn) => {
+      btn.addEventListener('click', () => togglePin(btn.dataset.id));
+    });
+    elements.savesList.querySelectorAll('.edit-btn').forEach((btn) => {
+      btn.addEventListener('click', () => openEditor(btn.dataset.id));
+    });
+    elements.savesList.querySelectorAll('.history-btn').forEach((btn) => {
+      btn.addEventListener('click', () => toggleHistory(btn.dataset.id));
+    });
     elements.savesList.querySelectorAll('.delete-btn').forEach((btn) => {
       btn.addEventListener('click', () => deleteSave(btn.dataset.id));
     });
+    elements.savesList.querySelectorAll('.transcript-btn').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('pages/transcript.html?id=' + encodeURIComponent(btn.dataset.id)) });
+      });
+    });
+    elements.savesList.querySelectorAll('.resummarize-btn').forEach((btn) => {
+      btn.addEventListener('click', () => resummarizeSave(btn));
+    });
+  }
+
+  // ── Edit title, tags and note ──────────────────────────────────────
+  function findSave(id) {
+    return allSaves.find((save) => save.id === id) || null;
+  }
+
+  function openEditor(id) {
+    const save = findSave(id);
+    const item = elements.savesList.querySelector('.save-item[data-id="' + CSS.escape(id) + '"]');
+    if (!save || !item || item.querySelector('.save-item-editor')) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'save-item-editor';
+    editor.innerHTML =
+      '<input type="text" class="form-input form-input-sm edit-title" placeholder="Title (blank = automatic)">' +
+      '<input type="text" class="form-input form-input-sm edit-tags" placeholder="Tags, comma separated">' +
+      '<select class="form-select form-select-sm edit-project" title="Project">' +
+      '  <option value="">No project</option>' +
+      projects.map((p) => '<option value="' + escapeHtml(p.id) + '">' + escapeHtml(p.name) + '</option>').join('') +
+      '</select>' +
+      '<textarea class="form-input form-input-sm edit-note" rows="3" placeholder="Personal note"></textarea>' +
+      '<div class="button-row">' +
+      '  <button class="btn btn-primary btn-sm editor-save">Save</button>' +
+      '  <button class="btn btn-secondary btn-sm editor-cancel">Cancel</button>' +
+      '</div>';
+    editor.querySelector('.edit-title').value = save.titleEdited ? save.title : '';
+    editor.querySelector('.edit-tags').value = (save.tags || []).join(', ');
+    editor.querySelector('.edit-note').value = save.note || '';
+    editor.querySelector('.edit-project').value = save.projectId || '';
+
+    editor.querySelector('.editor-cancel').addEventListener('click', () => editor.remove());
+    editor.querySelector('.editor-save').addEventListener('click', async () => {
+      const projectId = editor.querySelector('.edit-project').value || null;
+      if (projectId !== save.projectId) {
+        const response = await sendMessage({ action: 'assignSave', id: id, projectId: projectId });
+        if (!response.success) {
+          alert('Could not move save: ' + response.error);
+          return;
+        }
+        await loadProjects();
+      }
+      await updateSave(id, {
+        title: editor.querySelector('.edit-title').value,
+        tags: editor.querySelector('.edit-tags').value.split(','),
+        note: editor.querySelector('.edit-note').value
+      });
+    });
+
+    item.querySelector('.save-item-actions').before(editor);
+    editor.querySelector('.edit-title').focus();
+  }
+
+  async function togglePin(id) {
+    const save = findSave(id);
+    if (save) await updateSave(id, { pinned: !save.pinned });
+  }
+
+  async function updateSave(id, changes) {
+    const response = await sendMessage({ action: 'updateSave', id: id, changes: changes });
+    if (response.success) {
+      await loadSaves();
+    } else {
+      alert('Could not update save: ' + response.error);
+    }
+  }
+
+  // ── Version history: diff and roll back ────────────────────────────
+  function toggleHistory(id) {
+    const save = findSave(id);
+    const item = elements.savesList.querySelector('.save-item[data-id="' + CSS.escape(id) + '"]');
+    if (!save || !item) return;
+    const existing = item.querySelector('.save-item-history');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'save-item-history';
+    panel.innerHTML = save.versions.map((version, index) =>
+      '<div class="history-entry">' +
+      '  <span class="history-time">' + formatTime(version.timestamp) +
+           (version.templateName ? ' · ' + escapeHtml(version.templateName) : '') + '</span>' +
+      '  <button class="btn btn-secondary btn-sm diff-btn" data-index="' + index + '">Diff</button>' +
+      '  <button class="btn btn-secondary btn-sm rollback-btn" data-index="' + index + '">Restore</button>' +
+      '</div>'
+    ).join('') + '<div class="history-diff hidden"></div>';
+
+    const diffView = panel.querySelector('.history-diff');
+    panel.querySelectorAll('.diff-btn').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const version = save.versions[parseInt(btn.dataset.index, 10)];
+        diffView.innerHTML = renderDiff(diffLines(version.summary, save.summary));
+        diffView.classList.remove('hidden');
+      });
+    });
+    panel.querySelectorAll('.rollback-btn').forEach((btn) => {
+      btn.addEventListener('click', () => rollbackSave(id, parseInt(btn.dataset.index, 10)));
+    });
+
+    item.querySelector('.save-item-actions').before(panel);
+  }
+
+  async function rollbackSave(id, index) {
+    if (!confirm('Restore this version? The current summary is kept in the history.')) return;
+    const response = await sendMessage({ action: 'rollbackSave', id: id, index: index });
+    if (response.success) {
+      await loadSaves();
+    } else {
+      alert('Could not restore version: ' + response.error);
+    }
+  }
+
+  // Line diff from the longest common subsequence; summaries are short
+  // enough that the O(n·m) table is fine.
+  function diffLines(before, after) {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+    const lcs = [];
+    for (let i = a.length; i >= 0; i--) {
+      lcs[i] = [];
+      for (let j = b.length; j >= 0; j--) {
+        lcs[i][j] = i === a.length || j === b.length ? 0
+          : a[i] === b[j] ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const out = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        out.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        out.push({ type: 'removed', text: a[i++] });
+      } else {
+        out.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) out.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) out.push({ type: 'added', text: b[j++] });
+    return out;
+  }
+
+  function renderDiff(lines) {
+    const marks = { same: ' ', removed: '-', added: '+' };
+    return lines.map((line) =>
+      '<div class="diff-line diff-' + line.type + '">' + marks[line.type] + ' ' + escapeHtml(line.text) + '</div>'
+    ).join('');
   }
 
   function renderEmptyState() {
@@ -247,30 +1512,511 @@
     }
   }
 
+  // ── Re-summarize from the stored transcript ────────────────────────
+  async function resummarizeSave(btn) {
+    const label = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = 'Summarizing…';
+
+    const response = await sendMessage({ action: 'resummarize', id: btn.dataset.id });
+    if (response.success) {
+      await loadSaves();
+    } else {
+      btn.disabled = false;
+      btn.textContent = label;
+      alert('Re-summarize failed: ' + response.error);
+    }
+  }
+
   // ── Delete save ────────────────────────────────────────────────────
   async function deleteSave(id) {
     if (!confirm('Delete this saved state?')) return;
 
+    const response = await sendMessage({ action: 'deleteSave', id: id });
+    if (response.success) {
+      await loadSaves();
+    } else {
+      console.error('SessionLink popup: delete failed', response.error);
+    }
+  }
+
+  // ── Export and import ──────────────────────────────────────────────
+  // The background builds the bundle (decrypting if needed); Markdown is
+  // rendered from the same bundle here.
+  const selectedIds = new Set();
+
+  function setupExportImport() {
+    elements.exportBtn.addEventListener('click', exportSaves);
+    elements.importBtn.addEventListener('click', () => elements.importFile.click());
+    elements.importFile.addEventListener('change', () => {
+      const file = elements.importFile.files[0];
+      elements.importFile.value = '';
+      if (file) importSaves(file);
+    });
+  }
+
+  function updateExportButton() {
+    elements.exportBtn.textContent = selectedIds.size
+      ? 'Export selected (' + selectedIds.size + ')'
+      : 'Export all';
+    elements.exportBtn.disabled = allSaves.length === 0;
+  }
+
+  async function exportSaves() {
+    const message = { action: 'exportSaves' };
+    if (selectedIds.size) message.ids = Array.from(selectedIds);
+    const response = await sendMessage(message);
+    if (!response.success) {
+      showStatus('Export failed: ' + response.error, 'error', elements.savesStatus);
+      return;
+    }
+
+    const bundle = response.data;
+    const stamp = bundle.exportedAt.substring(0, 10);
+    if (elements.exportFormat.value === 'markdown') {
+      downloadFile('sessionlink-' + stamp + '.md', bundleToMarkdown(bundle), 'text/markdown');
+    } else {
+      downloadFile('sessionlink-' + stamp + '.json', JSON.stringify(bundle, null, 2), 'application/json');
+    }
+    showStatus('Exported ' + bundle.saves.length + ' saved state' + (bundle.saves.length !== 1 ? 's' : ''), 'success', elements.savesStatus);
+  }
+
+  async function importSaves(file) {
+    let bundle;
     try {
-      var result = await storageGet(['saves']);
-      var saves = result.saves || [];
-      var filtered = [];
-      for (var i = 0; i < saves.length; i++) {
-        if (saves[i].id !== id) filtered.push(saves[i]);
-      }
-      await storageSet({ saves: filtered });
+      bundle = JSON.parse(await file.text());
+    } catch (err) {
+      showStatus('That file is not valid JSON', 'error', elements.savesStatus);
+      return;
+    }
 
-      // Re-render
-      if (filtered.length > 0) {
-        renderSaves(filtered);
-      } else {
-        renderEmptyState();
+    const response = await sendMessage({ action: 'importSaves', bundle });
+    if (!response.success) {
+      showStatus('Import failed: ' + response.error, 'error', elements.savesStatus);
+      return;
+    }
+
+    const result = response.data;
+    const parts = [result.added + ' new', result.updated + ' updated', result.unchanged + ' already up to date'];
+    if (result.invalid) parts.push(result.invalid + ' invalid skipped');
+    showStatus('Imported: ' + parts.join(', '), 'success', elements.savesStatus);
+    await loadProjects();
+    await loadSaves();
+  }
+
+  function bundleToMarkdown(bundle) {
+    const projectNames = {};
+    (bundle.projects || []).forEach((project) => { projectNames[project.id] = project.name; });
+
+    const sections = bundle.saves.map((save) => {
+      const meta = [
+        '- **Platform:** ' + (save.platform || 'Unknown'),
+        '- **Saved:** ' + new Date(save.timestamp).toLocaleString()
+      ];
+      if (save.url) meta.push('- **URL:** <' + save.url + '>');
+      if (save.projectId && projectNames[save.projectId]) meta.push('- **Project:** ' + projectNames[save.projectId]);
+      if (save.tags && save.tags.length) meta.push('- **Tags:** ' + save.tags.join(', '));
+      if (save.note) meta.push('- **Note:** ' + save.note.replace(/\n+/g, ' '));
+      return '## ' + (save.title || 'Untitled save') + '\n\n' + meta.join('\n') + '\n\n' + save.summary.trim() + '\n';
+    });
+
+    return '# SessionLink export\n\n' +
+      'Exported ' + new Date(bundle.exportedAt).toLocaleString() + ' — ' +
+      bundle.saves.length + ' saved state' + (bundle.saves.length !== 1 ? 's' : '') + '\n\n---\n\n' +
+      sections.join('\n---\n\n');
+  }
+
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type + ';charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ── Platform adapters ──────────────────────────────────────────────
+  // Required selector fields that describe messages; none of them match
+  // on a new, empty chat, so that case is reported separately.
+  const MESSAGE_FIELDS = ['userMessage', 'assistantMessage', 'allMessages'];
+  let adapterStatus = { imported: {}, custom: {}, health: {} };
+
+  function setupAdapters() {
+    elements.importAdaptersBtn.addEventListener('click', () => elements.adapterFile.click());
+    elements.adapterFile.addEventListener('change', () => {
+      const file = elements.adapterFile.files[0];
+      elements.adapterFile.value = '';
+      if (file) importAdapters(file);
+    });
+    elements.downloadAdaptersBtn.addEventListener('click', downloadAdapters);
+  }
+
+  async function loadAdapters() {
+    const response = await sendMessage({ action: 'getAdapterStatus' });
+    if (!response.success) {
+      showStatus('Could not load adapters: ' + response.error, 'error', elements.adapterStatus);
+      return;
+    }
+    adapterStatus = response.data;
+    renderAdapters();
+    renderCustomSites();
+  }
+
+  function renderAdapters() {
+    const imported = adapterStatus.imported;
+    const active = SessionLinkAdapters.resolve(imported, adapterStatus.custom);
+
+    elements.adapterList.innerHTML = active.map((adapter) => {
+      const id = escapeHtml(adapter.id);
+      const stored = imported[adapter.id];
+      let version = 'v' + adapter.version + ' · ' + adapter.source;
+      if (stored && adapter.source === 'built-in') {
+        version += ' (imported v' + escapeHtml(String(stored.version)) + ' is not newer, so it is ignored)';
       }
+      const health = describeHealth(adapter, adapterStatus.health[adapter.id]);
+      return (
+        '<div class="adapter-item">' +
+        '  <div class="adapter-head">' +
+        '    <span class="adapter-name">' + escapeHtml(adapter.name) + '</span>' +
+        '    <span class="adapter-version">' + version + '</span>' +
+        (stored ? '    <button class="btn btn-secondary btn-sm remove-adapter-btn" data-id="' + id + '" title="Go back to the built-in adapter">Remove import</button>' : '') +
+        '  </div>' +
+        '  <div class="adapter-health ' + health.type + '">' + escapeHtml(health.text) + '</div>' +
+        '</div>'
+      );
+    }).join('');
+
+    elements.adapterList.querySelectorAll('.remove-adapter-btn').forEach((btn) => {
+      btn.addEventListener('click', () => removeAdapter(btn.dataset.id));
+    });
+  }
+
+  function describeHealth(adapter, report) {
+    if (!report) {
+      return { type: '', text: 'Not checked yet. Open the site to run a check.' };
+    }
+    const checked = ' · checked ' + formatTime(report.checkedAt);
+    if (report.version !== adapter.version || report.source !== adapter.source) {
+      return { type: '', text: 'Last checked with v' + report.version + '; reload the site to check this version' + checked };
+    }
+
+    const fields = report.fields || {};
+    const missing = Object.keys(fields).filter((f) => fields[f] === -1 && SessionLinkAdapters.FIELDS[f]);
+    const fallbacks = Object.keys(fields).filter((f) => fields[f] > 0);
+    if (missing.length === MESSAGE_FIELDS.length && missing.every((f) => MESSAGE_FIELDS.indexOf(f) !== -1)) {
+      return { type: '', text: 'No messages on the last page checked (normal for a new chat)' + checked };
+    }
+    if (missing.length) {
+      return { type: 'warn', text: 'Not found: ' + missing.join(', ') + checked };
+    }
+    if (fallbacks.length) {
+      return { type: 'ok', text: 'Working, using fallbacks for ' + fallbacks.join(', ') + checked };
+    }
+    return { type: 'ok', text: 'All selectors matched' + checked };
+  }
+
+  async function importAdapters(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
     } catch (err) {
-      console.error('SessionLink popup: delete failed', err);
+      showStatus('That file is not valid JSON', 'error', elements.adapterStatus);
+      return;
+    }
+
+    const result = SessionLinkAdapters.parseImport(data);
+    if (result.errors.length) {
+      showStatus(result.errors[0], 'error', elements.adapterStatus);
+      return;
+    }
+
+    const response = await sendMessage({ action: 'importAdapters', adapters: result.adapters });
+    if (!response.success) {
+      showStatus('Import failed: ' + response.error, 'error', elements.adapterStatus);
+      return;
+    }
+    showStatus('Imported ' + result.adapters.map((a) => a.name + ' v' + a.version).join(', '), 'success', elements.adapterStatus);
+    await loadAdapters();
+  }
+
+  async function removeAdapter(id) {
+    const response = await sendMessage({ action: 'removeImportedAdapter', id });
+    if (!response.success) {
+      showStatus('Could not remove adapter: ' + response.error, 'error', elements.adapterStatus);
+      return;
+    }
+    showStatus('Using the built-in adapter again', 'success', elements.adapterStatus);
+    await loadAdapters();
+  }
+
+  // A starting point for editing: the adapters in use, as an import file
+  function downloadAdapters() {
+    const adapters = SessionLinkAdapters.resolve(adapterStatus.imported).map((adapter) => ({
+      id: adapter.id,
+      name: adapter.name,
+      version: adapter.version,
+      hostPatterns: adapter.hostPatterns,
+      selectors: adapter.selectors
+    }));
+    const bundle = { format: SessionLinkAdapters.FORMAT, adapters };
+    downloadFile('sessionlink-adapters.json', JSON.stringify(bundle, null, 2), 'application/json');
+  }
+
+  // ── Custom sites ───────────────────────────────────────────────────
+  function setupCustomSites() {
+    elements.pickCustomSiteBtn.addEventListener('click', pickOnPage);
+    // Not async: the permission prompt needs the click's user gesture
+    elements.saveCustomSiteBtn.addEventListener('click', saveCustomSite);
+    elements.cancelCustomSiteBtn.addEventListener('click', resetCustomSiteForm);
+  }
+
+  function renderCustomSites() {
+    const sites = Object.keys(adapterStatus.custom).map((id) => adapterStatus.custom[id]);
+    if (sites.length === 0) {
+      elements.customSiteList.innerHTML = '';
+      return;
+    }
+
+    elements.customSiteList.innerHTML = sites.map((site) => {
+      const id = escapeHtml(site.id);
+      return (
+        '<div class="adapter-item">' +
+        '  <div class="adapter-head">' +
+        '    <span class="adapter-name">' + escapeHtml(site.name) + '</span>' +
+        '    <span class="adapter-version">' + site.matches.map(escapeHtml).join(', ') + '</span>' +
+        '    <button class="btn btn-secondary btn-sm edit-site-btn" data-id="' + id + '">Edit</button>' +
+        '    <button class="btn btn-danger btn-sm remove-site-btn" data-id="' + id + '">Remove</button>' +
+        '  </div>' +
+        '</div>'
+      );
+    }).join('');
+
+    elements.customSiteList.querySelectorAll('.edit-site-btn').forEach((btn) => {
+      btn.addEventListener('click', () => editCustomSite(btn.dataset.id));
+    });
+    elements.customSiteList.querySelectorAll('.remove-site-btn').forEach((btn) => {
+      btn.addEventListener('click', () => removeCustomSite(btn.dataset.id));
+    });
+  }
+
+  // "chat.example.com", "*.example.com" or a full URL -> host and match pattern
+  function parseSiteHost(value) {
+    let host = value.trim().toLowerCase();
+    if (/^[a-z]+:\/\//.test(host)) {
+      try {
+        host = new URL(host).hostname;
+      } catch (e) {
+        return null;
+      }
+    }
+    host = host.replace(/\/.*$/, '').replace(/:\d+$/, '');
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) return null;
+    return { host: host.replace(/^\*\./, ''), pattern: '*://' + host + '/*' };
+  }
+
+  function fillCustomSiteForm(site) {
+    const selectors = site.selectors || {};
+    const first = (field) => [].concat(selectors[field] || [])[0] || '';
+    elements.customSiteId.value = site.id || '';
+    elements.customSiteName.value = site.name || '';
+    elements.customSiteHost.value = site.host || '';
+    elements.customSiteUser.value = first('userMessage');
+    elements.customSiteAssistant.value = first('assistantMessage');
+    elements.customSiteInput.value = first('inputArea');
+    elements.customSiteSend.value = first('sendButton');
+    elements.saveCustomSiteBtn.textContent = site.id ? 'Save site' : 'Add site';
+    elements.cancelCustomSiteBtn.classList.remove('hidden');
+  }
+
+  function resetCustomSiteForm() {
+    [elements.customSiteId, elements.customSiteName, elements.customSiteHost, elements.customSiteUser,
+      elements.customSiteAssistant, elements.customSiteInput, elements.customSiteSend]
+      .forEach((input) => { input.value = ''; });
+    elements.saveCustomSiteBtn.textContent = 'Add site';
+    elements.cancelCustomSiteBtn.classList.add('hidden');
+    sendMessage({ action: 'clearSiteDraft' });
+  }
+
+  function editCustomSite(id) {
+    const site = adapterStatus.custom[id];
+    if (!site) return;
+    fillCustomSiteForm(Object.assign({}, site, { host: site.matches[0].replace(/^\*:\/\/|\/\*$/g, '') }));
+  }
+
+  // Selectors picked on a page wait in storage until the popup opens again
+  async function loadSiteDraft() {
+    const response = await sendMessage({ action: 'getSiteDraft' });
+    if (!response.success || !response.data) return;
+    fillCustomSiteForm(response.data);
+    showStatus('Picked on ' + response.data.host + '. Check the selectors, then add the site.', 'success', elements.customSiteStatus);
+  }
+
+  async function pickOnPage() {
+    const tabs = await new Promise((resolve) => chrome.tabs.query({ active: true, currentWindow: true }, resolve));
+    const tab = tabs && tabs[0];
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      showStatus('Open the chat site in this tab first', 'error', elements.customSiteStatus);
+      return;
+    }
+
+    chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['scripts/picker.js'] }, () => {
+      if (chrome.runtime.lastError) {
+        showStatus('Could not start picking: ' + chrome.runtime.lastError.message, 'error', elements.customSiteStatus);
+        return;
+      }
+      // The popup would close on the first click anyway
+      window.close();
+    });
+  }
+
+  function saveCustomSite() {
+    const host = parseSiteHost(elements.customSiteHost.value);
+    if (!host) {
+      showStatus('Enter a host such as chat.example.com', 'error', elements.customSiteStatus);
+      return;
+    }
+    const builtin = SessionLinkAdapters.forHost(SessionLinkAdapters.BUILTIN, host.host);
+    if (builtin) {
+      showStatus(builtin.name + ' is already supported', 'error', elements.customSiteStatus);
+      return;
+    }
+
+    const user = elements.customSiteUser.value.trim();
+    const assistant = elements.customSiteAssistant.value.trim();
+    const selectors = {
+      userMessage: user,
+      assistantMessage: assistant,
+      allMessages: user && assistant ? user + ', ' + assistant : '',
+      inputArea: elements.customSiteInput.value.trim()
+    };
+    if (elements.customSiteSend.value.trim()) selectors.sendButton = elements.customSiteSend.value.trim();
+
+    const result = SessionLinkAdapters.validate({
+      id: elements.customSiteId.value || 'custom-' + host.host.replace(/[^a-z0-9]+/g, '-').substring(0, 32),
+      name: elements.customSiteName.value.trim() || host.host,
+      version: 1,
+      hostPatterns: [host.host],
+      selectors
+    });
+    if (result.error) {
+      showStatus(result.error.replace(/^Adapter "[^"]+"/, 'The site'), 'error', elements.customSiteStatus);
+      return;
+    }
+
+    chrome.permissions.request({ origins: [host.pattern] }, async (granted) => {
+      if (chrome.runtime.lastError || !granted) {
+        showStatus('Permission to access ' + host.host + ' was denied', 'error', elements.customSiteStatus);
+        return;
+      }
+      const site = Object.assign(result.adapter, { matches: [host.pattern] });
+      const response = await sendMessage({ action: 'saveCustomSite', site });
+      if (!response.success) {
+        showStatus(response.error, 'error', elements.customSiteStatus);
+        return;
+      }
+      resetCustomSiteForm();
+      showStatus(site.name + ' saved. Reload its open tabs to start using SessionLink there.', 'success', elements.customSiteStatus);
+      await loadAdapters();
+    });
+  }
+
+  async function removeCustomSite(id) {
+    const site = adapterStatus.custom[id];
+    if (!site || !confirm('Remove ' + site.name + ' from SessionLink?')) return;
+
+    const response = await sendMessage({ action: 'removeCustomSite', id });
+    if (!response.success) {
+      showStatus('Could not remove site: ' + response.error, 'error', elements.customSiteStatus);
+      return;
+    }
+    showStatus(site.name + ' removed', 'success', elements.customSiteStatus);
+    await loadAdapters();
+  }
+
+  // ── Keyboard shortcuts ─────────────────────────────────────────────
+  // Keys are declared in the manifest; the browser owns the bindings, so
+  // the popup only shows them and links to the browser's shortcut page.
+  function setupShortcuts() {
+    elements.changeShortcutsBtn.addEventListener('click', openShortcutSettings);
+    chrome.commands.getAll((commands) => {
+      elements.shortcutList.innerHTML = commands.filter((command) => command.description).map((command) => (
+        '<div class="adapter-item">' +
+        '  <div class="adapter-head">' +
+        '    <span class="adapter-version">' + escapeHtml(command.description) + '</span>' +
+        '    <span class="shortcut-keys">' + (command.shortcut ? escapeHtml(command.shortcut) : 'Not set') + '</span>' +
+        '  </div>' +
+        '</div>'
+      )).join('');
+    });
+  }
+
+  function openShortcutSettings() {
+    if (chrome.commands.openShortcutSettings) {
+      // Firefox 137+
+      chrome.commands.openShortcutSettings();
+    } else if (location.protocol === 'moz-extension:') {
+      // Older Firefox won't let extensions open about: pages
+      showStatus('Open about:addons, click the gear icon and choose Manage Extension Shortcuts.', 'info', elements.shortcutStatus);
+    } else {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
     }
   }
 
+  // ── Floating toolbar ───────────────────────────────────────────────
+  // Sites where the toolbar was moved, collapsed or hidden; resetting one
+  // puts it back on the right edge, expanded and visible.
+  async function loadToolbarLayouts() {
+    const response = await sendMessage({ action: 'getToolbarLayouts' });
+    if (!response.success) {
+      showStatus('Could not load toolbar settings: ' + response.error, 'error', elements.toolbarStatus);
+      return;
+    }
+    renderToolbarLayouts(response.data);
+  }
+
+  function renderToolbarLayouts(layouts) {
+    const ids = Object.keys(layouts);
+    if (ids.length === 0) {
+      elements.toolbarLayoutList.innerHTML = '<p class="form-hint">The toolbar is in its default place on every site.</p>';
+      return;
+    }
+
+    const names = {};
+    SessionLinkAdapters.resolve(adapterStatus.imported, adapterStatus.custom).forEach((adapter) => {
+      names[adapter.id] = adapter.name;
+    });
+
+    elements.toolbarLayoutList.innerHTML = ids.map((id) => {
+      const layout = layouts[id];
+      const state = layout.hidden ? 'Hidden' : layout.collapsed ? 'Collapsed' : 'Shown';
+      return (
+        '<div class="adapter-item">' +
+        '  <div class="adapter-head">' +
+        '    <span class="adapter-name">' + escapeHtml(names[id] || id) + '</span>' +
+        '    <span class="adapter-version">' + state + ' · ' + escapeHtml(layout.edge) + ' edge</span>' +
+        '    <button class="btn btn-secondary btn-sm reset-toolbar-btn" data-id="' + escapeHtml(id) + '">Reset</button>' +
+        '  </div>' +
+        '</div>'
+      );
+    }).join('');
+
+    elements.toolbarLayoutList.querySelectorAll('.reset-toolbar-btn').forEach((btn) => {
+      btn.addEventListener('click', () => resetToolbarLayout(btn.dataset.id));
+    });
+  }
+
+  async function resetToolbarLayout(id) {
+    const response = await sendMessage({ action: 'resetToolbarLayout', platformId: id });
+    if (!response.success) {
+      showStatus('Could not reset toolbar: ' + response.error, 'error', elements.toolbarStatus);
+      return;
+    }
+    showStatus('Toolbar reset', 'success', elements.toolbarStatus);
+    await loadToolbarLayouts();
+  }
+
   // ── Helpers ────────────────────────────────────────────────────────
   function formatTime(timestamp) {
     if (!timestamp) return 'Unknown';
@@ -295,6 +2041,22 @@
     });
   }
 
+  // Same syntax the background accepts: a bare pattern or /pattern/flags
+  function isValidPattern(rule) {
+    const match = rule.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      new RegExp(match ? match[1] : rule, match ? match[2] : '');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function parseNonNegative(value, fallback) {
+    const n = parseInt(value, 10);
+    return isNaN(n) || n < 0 ? fallback : n;
+  }
+
   function escapeHtml(text) {
     if (!text) return '';
     var div = document.createElement('div');
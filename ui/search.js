@@ -0,0 +1,119 @@
+/**
+ * SessionLink Search Index
+ * In-memory inverted index over saved states for the popup's search box.
+ *
+ * Building the index is linear in the total text size, but each query only
+ * touches the posting lists of matching terms, so typing stays responsive
+ * with thousands of saves.
+ */
+
+(function (global) {
+  'use strict';
+
+  const SessionLinkSearch = {};
+
+  // Title hits count for more than summary hits when ranking
+  const FIELD_WEIGHTS = { title: 3, tags: 2, summary: 1 };
+
+  /**
+   * Split text into lowercase search terms
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} - Terms (2+ characters)
+   */
+  SessionLinkSearch.tokenize = function (text) {
+    if (!text) return [];
+    return String(text)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter((term) => term.length >= 2);
+  };
+
+  /**
+   * Build an index over a list of saves
+   * @param {object[]} saves - Save records
+   * @returns {{search: Function, size: number}} - Index handle
+   */
+  SessionLinkSearch.createIndex = function (saves) {
+    // term -> Map(saveId -> weight)
+    const postings = new Map();
+
+    saves.forEach((save) => {
+      const fields = {
+        title: save.title,
+        tags: (save.tags || []).join(' '),
+        summary: save.summary
+      };
+      Object.keys(fields).forEach((field) => {
+        SessionLinkSearch.tokenize(fields[field]).forEach((term) => {
+          let posting = postings.get(term);
+          if (!posting) {
+            posting = new Map();
+            postings.set(term, posting);
+          }
+          posting.set(save.id, (posting.get(save.id) || 0) + FIELD_WEIGHTS[field]);
+        });
+      });
+    });
+
+    // Sorted term list for prefix lookups ("deplo" matches "deployment")
+    const terms = Array.from(postings.keys()).sort();
+
+    function termsWithPrefix(prefix) {
+      let lo = 0;
+      let hi = terms.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (terms[mid] < prefix) lo = mid + 1;
+        else hi = mid;
+      }
+      const matches = [];
+      for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) {
+        matches.push(terms[i]);
+      }
+      return matches;
+    }
+
+    /**
+     * Find saves matching every query term (prefix match)
+     * @param {string} query - Free-text query
+     * @returns {Map<string, number>|null} - saveId -> score, or null for an empty query
+     */
+    function search(query) {
+      const queryTerms = SessionLinkSearch.tokenize(query);
+      if (queryTerms.length === 0) return null;
+
+      let results = null;
+      for (const queryTerm of queryTerms) {
+        const scores = new Map();
+        termsWithPrefix(queryTerm).forEach((term) => {
+          postings.get(term).forEach((weight, id) => {
+            scores.set(id, (scores.get(id) || 0) + weight);
+          });
+        });
+
+        if (results === null) {
+          results = scores;
+        } else {
+          // AND semantics: keep ids present for every term
+          const merged = new Map();
+          results.forEach((score, id) => {
+            if (scores.has(id)) merged.set(id, score + scores.get(id));
+          });
+          results = merged;
+        }
+        if (results.size === 0) break;
+      }
+      return results;
+    }
+
+    return { search: search, size: saves.length };
+  };
+
+  // Export to global scope
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionLinkSearch;
+  } else {
+    global.SessionLinkSearch = SessionLinkSearch;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : this));